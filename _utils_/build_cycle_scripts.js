@@ -0,0 +1,259 @@
+// Cycle script build script
+// Reads cycle_scripts.yaml, validates the scripts and writes cycle_scripts.js (const CYCLE_SCRIPTS = ...).
+// Fixed ("say") phrases must have their audio in vocals/ (same filenames as local phrases, see
+// getAudioFilename() in phrase_selector.js) unless they are marked tts: true.
+// Requires js-yaml (npm install, see package.json).
+//
+//   npm run build:cycles
+//   node _utils_/build_cycle_scripts.js [cycle_scripts.yaml] [cycle_scripts.js]
+//
+// cycle_scripts.yaml structure: script name -> {pauseMs, steps, farewell}, see the comment at the top of the file
+// and PhraseConductor in conductor.js.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const yaml = require('js-yaml');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const VOCALS_DIR = path.join(ROOT_DIR, 'vocals');
+
+const SCRIPT_FIELDS = ['pauseMs', 'steps', 'farewell'];
+const STEP_TYPES = ['local', 'pof', 'say', 'silence'];
+const STEP_OPTIONS = ['once', 'when'];
+const CONDITION_FIELDS = ['emotion', 'minDwellMs', 'maxDwellMs', 'minViewers', 'maxViewers'];
+const EMOTIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised']; // face-api labels
+const SAY_FIELDS = ['text', 'audio', 'tts'];
+const FAREWELL_FIELDS = ['say', 'afterMs', 'when'];
+const FAREWELL_CONDITIONS = ['minDwellMs', 'maxDwellMs']; // The visitor is gone, only the visit length is known
+
+// getAudioFilename() from phrase_selector.js, loaded the way index.html loads it
+function loadGetAudioFilename() {
+    const context = vm.createContext({ console: { log: () => {}, warn: console.warn, error: console.error } });
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'phrase_selector.js'), 'utf-8'), context, { filename: 'phrase_selector.js' });
+    return context.getAudioFilename;
+}
+
+function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && value >= 0;
+}
+
+// Validate a "say" phrase (string or {text, audio}), returns the cleaned phrase
+function validateSay(say, where, errors) {
+    if (typeof say === 'string') {
+        if (say.trim().length === 0) {
+            errors.push(`${where}: empty phrase`);
+        }
+        return say.trim();
+    }
+    if (!isMapping(say)) {
+        errors.push(`${where}: "say" must be a string or an object with text and audio`);
+        return say;
+    }
+    Object.keys(say).forEach(key => {
+        if (!SAY_FIELDS.includes(key)) {
+            errors.push(`${where}: unknown field "${key}" (allowed: ${SAY_FIELDS.join(', ')})`);
+        }
+    });
+    if (typeof say.text !== 'string' || say.text.trim().length === 0) {
+        errors.push(`${where}: "text" must be a non-empty string`);
+        return say;
+    }
+    if (say.audio !== undefined && (typeof say.audio !== 'string' || !say.audio.endsWith('.mp3'))) {
+        errors.push(`${where}: "audio" must be an .mp3 filename`);
+    }
+    if (say.tts !== undefined && typeof say.tts !== 'boolean') {
+        errors.push(`${where}: "tts" must be true or false`);
+    }
+    if (say.tts && say.audio !== undefined) {
+        errors.push(`${where}: "audio" and "tts" exclude each other`);
+    }
+    return { ...say, text: say.text.trim() };
+}
+
+function validateConditions(when, where, errors) {
+    if (!isMapping(when)) {
+        errors.push(`${where}: "when" must be a mapping of conditions`);
+        return;
+    }
+    Object.keys(when).forEach(key => {
+        if (!CONDITION_FIELDS.includes(key)) {
+            errors.push(`${where}: unknown condition "${key}" (allowed: ${CONDITION_FIELDS.join(', ')})`);
+        } else if (key === 'emotion') {
+            if ([].concat(when.emotion).some(emotion => !EMOTIONS.includes(emotion))) {
+                errors.push(`${where}: "emotion" must be one or a list of ${EMOTIONS.join(', ')}`);
+            }
+        } else if (!isNonNegativeNumber(when[key])) {
+            errors.push(`${where}: "${key}" must be a non-negative number`);
+        }
+    });
+}
+
+// Validate the farewell {say, afterMs, when}, returns the cleaned farewell
+function validateFarewell(farewell, where, errors) {
+    if (!isMapping(farewell)) {
+        errors.push(`${where}: must be a mapping with "say"`);
+        return farewell;
+    }
+    Object.keys(farewell).forEach(key => {
+        if (!FAREWELL_FIELDS.includes(key)) {
+            errors.push(`${where}: unknown field "${key}" (allowed: ${FAREWELL_FIELDS.join(', ')})`);
+        }
+    });
+    if (farewell.say === undefined) {
+        errors.push(`${where}: "say" is required`);
+        return farewell;
+    }
+    if (farewell.afterMs !== undefined && !isNonNegativeNumber(farewell.afterMs)) {
+        errors.push(`${where}: "afterMs" must be a non-negative number of milliseconds`);
+    }
+    if (farewell.when !== undefined) {
+        validateConditions(farewell.when, where, errors);
+        if (isMapping(farewell.when) && Object.keys(farewell.when).some(key => !FAREWELL_CONDITIONS.includes(key))) {
+            errors.push(`${where}: farewell conditions can only be ${FAREWELL_CONDITIONS.join(', ')}`);
+        }
+    }
+    return { ...farewell, say: validateSay(farewell.say, where, errors) };
+}
+
+// Validate one step, returns the cleaned step and pushes problems to errors
+function validateStep(step, where, errors) {
+    if (!isMapping(step)) {
+        errors.push(`${where}: step must be a mapping, got ${JSON.stringify(step)}`);
+        return step;
+    }
+    const types = Object.keys(step).filter(key => STEP_TYPES.includes(key));
+    Object.keys(step).forEach(key => {
+        if (!STEP_TYPES.includes(key) && !STEP_OPTIONS.includes(key)) {
+            errors.push(`${where}: unknown field "${key}" (allowed: ${STEP_TYPES.concat(STEP_OPTIONS).join(', ')})`);
+        }
+    });
+    if (types.length !== 1) {
+        errors.push(`${where}: step must have exactly one of ${STEP_TYPES.join(', ')}`);
+        return step;
+    }
+
+    const cleaned = { ...step };
+    if (step.local !== undefined && !(Number.isInteger(step.local) && step.local > 0)) {
+        errors.push(`${where}: "local" must be a positive number of phrases`);
+    }
+    if (step.pof !== undefined && step.pof !== true) {
+        errors.push(`${where}: "pof" must be true`);
+    }
+    if (step.say !== undefined) {
+        cleaned.say = validateSay(step.say, where, errors);
+    }
+    if (step.silence !== undefined && !isNonNegativeNumber(step.silence)) {
+        errors.push(`${where}: "silence" must be a non-negative number of milliseconds`);
+    }
+    if (step.once !== undefined && typeof step.once !== 'boolean') {
+        errors.push(`${where}: "once" must be true or false`);
+    }
+    if (step.when !== undefined) {
+        validateConditions(step.when, where, errors);
+    }
+    return cleaned;
+}
+
+// Fixed phrases of a validated script with where they are used [{say, where}]
+function getSayPhrases(name, script) {
+    const phrases = script.steps
+        .map((step, index) => ({ say: step.say, where: `${name}.steps[${index}]` }))
+        .filter(item => item.say !== undefined);
+    if (script.farewell && script.farewell.say !== undefined) {
+        phrases.push({ say: script.farewell.say, where: `${name}.farewell` });
+    }
+    return phrases;
+}
+
+// Missing vocals/ audio of fixed phrases that are not marked tts: true
+function checkSayAudio(data, errors) {
+    const getAudioFilename = loadGetAudioFilename();
+    const audioFiles = new Set(fs.readdirSync(VOCALS_DIR));
+    Object.keys(data).forEach(name => {
+        getSayPhrases(name, data[name]).forEach(({ say, where }) => {
+            const entry = typeof say === 'string' ? { text: say } : say;
+            if (entry.tts || typeof entry.text !== 'string') return;
+            const filename = getAudioFilename(entry);
+            if (!audioFiles.has(filename)) {
+                errors.push(`${where}: missing audio vocals/${filename} for "${entry.text}" (record it or mark the phrase tts: true)`);
+            }
+        });
+    });
+}
+
+// Validate all scripts, returns {data, errors, warnings}
+function validateScripts(tree) {
+    const errors = [];
+    const warnings = [];
+    const data = {};
+
+    if (!isMapping(tree)) {
+        errors.push('top level must be a mapping of script names');
+        return { data, errors, warnings };
+    }
+    if (!tree.default) {
+        warnings.push('no "default" script, appConfig.cycleScript must name one of the scripts');
+    }
+
+    Object.keys(tree).forEach(name => {
+        const script = tree[name];
+        if (!isMapping(script)) {
+            errors.push(`${name}: must be a mapping with steps`);
+            return;
+        }
+        Object.keys(script).forEach(key => {
+            if (!SCRIPT_FIELDS.includes(key)) {
+                errors.push(`${name}: unknown field "${key}" (allowed: ${SCRIPT_FIELDS.join(', ')})`);
+            }
+        });
+        if (script.pauseMs !== undefined && !isNonNegativeNumber(script.pauseMs)) {
+            errors.push(`${name}: "pauseMs" must be a non-negative number`);
+        }
+        if (!Array.isArray(script.steps) || script.steps.length === 0) {
+            errors.push(`${name}: "steps" must be a non-empty list`);
+            return;
+        }
+
+        const steps = script.steps.map((step, index) => validateStep(step, `${name}.steps[${index}]`, errors));
+        // A script of conditional or one-time steps only can leave the conductor idle for good
+        if (steps.every(step => step.once || step.when)) {
+            warnings.push(`${name}: every step is conditional or once, the script may stop playing phrases`);
+        }
+        if (steps.every(step => step.silence !== undefined)) {
+            warnings.push(`${name}: no phrases in the script`);
+        }
+        data[name] = { ...script, steps };
+        if (script.farewell !== undefined) {
+            data[name].farewell = validateFarewell(script.farewell, `${name}.farewell`, errors);
+        }
+    });
+    checkSayAudio(data, errors);
+
+    return { data, errors, warnings };
+}
+
+function main() {
+    const inputPath = path.resolve(process.argv[2] || path.join(ROOT_DIR, 'cycle_scripts.yaml'));
+    const outputPath = path.resolve(process.argv[3] || path.join(ROOT_DIR, 'cycle_scripts.js'));
+
+    const tree = yaml.load(fs.readFileSync(inputPath, 'utf-8'));
+    const { data, errors, warnings } = validateScripts(tree);
+
+    warnings.forEach(warning => console.warn(`WARNING: ${warning}`));
+    errors.forEach(error => console.error(`ERROR: ${error}`));
+    if (errors.length > 0) {
+        console.error(`${path.basename(inputPath)}: ${errors.length} error(s), ${path.basename(outputPath)} not written`);
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.writeFileSync(outputPath, `const CYCLE_SCRIPTS = ${JSON.stringify(data, null, 2)};`, 'utf-8');
+    console.log(`${path.basename(outputPath)} written`);
+}
+
+main();
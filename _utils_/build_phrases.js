@@ -0,0 +1,135 @@
+// Phrase build script
+// Reads phrases.yaml, validates the tree and writes phrases.js (const PHRASES_DATA = ...).
+// Requires js-yaml (npm install, see package.json).
+//
+//   npm run build:phrases
+//   node _utils_/build_phrases.js [phrases.yaml] [phrases.js]
+//
+// phrases.yaml structure: emotion -> speed category -> list of phrases.
+// A phrase is either a plain string or an object:
+//   - text: "Пр+очь с дор+оги!"   # required, "+" marks the stressed vowel
+//     audio: prochj.mp3           # optional, file in vocals/ instead of phraseToFilename(text)
+//     weight: 2                   # optional, relative selection weight (default 1)
+//     tags: [lang:ru, intro]      # optional, free-form tags
+//     age: [child, elder]         # optional, audience age groups: child, adult, elder
+//     gender: female              # optional, audience gender: male or female
+//     gestures: [nod, mouthOpen]  # optional, only when the viewer makes one of these head gestures
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Keys PhraseSelector looks up (face-api expression labels and speed categories, plus "all")
+const KNOWN_EMOTIONS = ['all', 'neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised'];
+const KNOWN_SPEEDS = ['all', 'lo', 'med', 'hi'];
+const PHRASE_FIELDS = ['text', 'audio', 'weight', 'tags', 'age', 'gender', 'gestures'];
+const AGE_GROUP_NAMES = ['child', 'adult', 'elder']; // AGE_GROUPS in phrase_selector.js
+const GENDERS = ['male', 'female']; // face-api gender labels
+const GESTURES = ['nod', 'shake', 'mouthOpen', 'lookingAway']; // HEAD_GESTURES in head_gestures.js
+
+// Validate one phrase entry, returns the cleaned entry and pushes problems to errors
+function validatePhrase(entry, where, errors) {
+    if (typeof entry === 'string') {
+        if (entry.trim().length === 0) {
+            errors.push(`${where}: empty phrase`);
+        }
+        return entry.trim();
+    }
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`${where}: phrase must be a string or an object, got ${JSON.stringify(entry)}`);
+        return entry;
+    }
+
+    Object.keys(entry).forEach(key => {
+        if (!PHRASE_FIELDS.includes(key)) {
+            errors.push(`${where}: unknown field "${key}" (allowed: ${PHRASE_FIELDS.join(', ')})`);
+        }
+    });
+    if (typeof entry.text !== 'string' || entry.text.trim().length === 0) {
+        errors.push(`${where}: "text" must be a non-empty string`);
+    }
+    if (entry.audio !== undefined && (typeof entry.audio !== 'string' || !entry.audio.endsWith('.mp3'))) {
+        errors.push(`${where}: "audio" must be an .mp3 filename`);
+    }
+    if (entry.weight !== undefined && (typeof entry.weight !== 'number' || !(entry.weight > 0))) {
+        errors.push(`${where}: "weight" must be a positive number`);
+    }
+    if (entry.tags !== undefined &&
+        (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string'))) {
+        errors.push(`${where}: "tags" must be a list of strings`);
+    }
+    if (entry.age !== undefined && [].concat(entry.age).some(group => !AGE_GROUP_NAMES.includes(group))) {
+        errors.push(`${where}: "age" must be one or a list of ${AGE_GROUP_NAMES.join(', ')}`);
+    }
+    if (entry.gender !== undefined && !GENDERS.includes(entry.gender)) {
+        errors.push(`${where}: "gender" must be one of ${GENDERS.join(', ')}`);
+    }
+    if (entry.gestures !== undefined && [].concat(entry.gestures).some(gesture => !GESTURES.includes(gesture))) {
+        errors.push(`${where}: "gestures" must be one or a list of ${GESTURES.join(', ')}`);
+    }
+
+    return typeof entry.text === 'string' ? { ...entry, text: entry.text.trim() } : entry;
+}
+
+// Validate the whole tree, returns {data, errors, warnings}
+function validateTree(tree) {
+    const errors = [];
+    const warnings = [];
+    const data = {};
+
+    if (!tree || typeof tree !== 'object' || Array.isArray(tree)) {
+        errors.push('top level must be a mapping of emotions');
+        return { data, errors, warnings };
+    }
+
+    Object.keys(tree).forEach(emotion => {
+        if (!KNOWN_EMOTIONS.includes(emotion)) {
+            warnings.push(`${emotion}: unknown emotion, phrases will never be selected`);
+        }
+        const speeds = tree[emotion];
+        if (!speeds || typeof speeds !== 'object' || Array.isArray(speeds)) {
+            errors.push(`${emotion}: must be a mapping of speed categories`);
+            return;
+        }
+
+        data[emotion] = {};
+        Object.keys(speeds).forEach(speed => {
+            const where = `${emotion}.${speed}`;
+            if (!KNOWN_SPEEDS.includes(speed)) {
+                warnings.push(`${where}: unknown speed category, phrases will never be selected`);
+            }
+            const phrases = speeds[speed];
+            if (!Array.isArray(phrases) || phrases.length === 0) {
+                errors.push(`${where}: must be a non-empty list of phrases`);
+                return;
+            }
+            data[emotion][speed] = phrases.map((entry, index) => validatePhrase(entry, `${where}[${index}]`, errors));
+        });
+    });
+
+    return { data, errors, warnings };
+}
+
+function main() {
+    const inputPath = path.resolve(process.argv[2] || path.join(ROOT_DIR, 'phrases.yaml'));
+    const outputPath = path.resolve(process.argv[3] || path.join(ROOT_DIR, 'phrases.js'));
+
+    const tree = yaml.load(fs.readFileSync(inputPath, 'utf-8'));
+    const { data, errors, warnings } = validateTree(tree);
+
+    warnings.forEach(warning => console.warn(`WARNING: ${warning}`));
+    errors.forEach(error => console.error(`ERROR: ${error}`));
+    if (errors.length > 0) {
+        console.error(`${path.basename(inputPath)}: ${errors.length} error(s), ${path.basename(outputPath)} not written`);
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.writeFileSync(outputPath, `const PHRASES_DATA = ${JSON.stringify(data, null, 2)};`, 'utf-8');
+    console.log(`${path.basename(outputPath)} written`);
+}
+
+main();
@@ -0,0 +1,76 @@
+// Self-hosted face-api download script
+// Downloads the face-api bundle and the models used by the app into face-api/, so the installation
+// works without internet (appConfig.localFaceApiUrl and appConfig.localModelUrl point there).
+// Needs internet once; no npm packages required.
+//
+//   node _utils_/download_face_api.js [package URL]
+//
+// Default package URL: https://cdn.jsdelivr.net/npm/@vladmandic/face-api (pin a version with @x.y.z)
+
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const TARGET_DIR = path.join(ROOT_DIR, 'face-api');
+const DEFAULT_PACKAGE_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api';
+
+// Model list shared with the app (FACE_MODELS in face_detector.js)
+function loadModelList() {
+    const context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'face_detector.js'), 'utf-8'), context);
+    return vm.runInContext('FACE_MODELS', context);
+}
+
+// GET a URL into a Buffer, following redirects
+function download(url, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        https.get(url, response => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && redirects > 0) {
+                response.resume();
+                resolve(download(new URL(response.headers.location, url).href, redirects - 1));
+                return;
+            }
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`${url}: HTTP ${response.statusCode}`));
+                return;
+            }
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+        }).on('error', reject);
+    });
+}
+
+async function saveFile(url, file) {
+    const data = await download(url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+    console.log(`${path.relative(ROOT_DIR, file)} (${Math.round(data.length / 1024)} KB)`);
+    return data;
+}
+
+async function main() {
+    const packageUrl = (process.argv[2] || DEFAULT_PACKAGE_URL).replace(/\/$/, '');
+    const modelDir = path.join(TARGET_DIR, 'model');
+
+    await saveFile(`${packageUrl}/dist/face-api.min.js`, path.join(TARGET_DIR, 'face-api.min.js'));
+
+    for (const model of loadModelList()) {
+        const manifestName = `${model.file}-weights_manifest.json`;
+        const manifest = JSON.parse(await saveFile(`${packageUrl}/model/${manifestName}`, path.join(modelDir, manifestName)));
+        for (const group of manifest) {
+            for (const weightsPath of group.paths) {
+                await saveFile(`${packageUrl}/model/${weightsPath}`, path.join(modelDir, weightsPath));
+            }
+        }
+    }
+    console.log('Done');
+}
+
+main().catch(error => {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,199 @@
+// Local stand-in for the POF service
+// Accepts the JPEG frame via POST /pof and answers with a JSON array of phrases taken from
+// the recordings in vocals/. Each phrase carries its own audio reference, --format selects
+// how it is sent (see normalizePOFPhrase() in app.js):
+//   url    - {text, audio: "vocals/<file>"}, relative to the /pof URL (default)
+//   id     - {text, audioId: "<file without .mp3>"}, app needs pofAudioUrl=/vocals/{id}.mp3
+//   base64 - {text, audioBase64: "..."}
+//   string - old format, plain strings with the audio served by GET /voice.mp3
+// Also serves the app itself, so the whole installation can be rehearsed offline:
+//
+//   node _utils_/mock_pof_server.js --port 8090 --delay 1500
+//   open http://localhost:8090/?pofUrl=/pof&voiceUrl=/voice.mp3&pofAudioUrl=/vocals/{id}.mp3
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const VOCALS_DIR = path.join(ROOT_DIR, 'vocals');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.mp3': 'audio/mpeg'
+};
+
+// Parse --name value command line options
+function parseArgs(argv) {
+    const options = {
+        port: 8090,
+        delay: 1000, // Simulated VLM response time in ms
+        count: 3, // Number of phrases per response
+        format: 'url' // Phrase format: url, id, base64 or string
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--(\w+)$/.exec(argv[i]);
+        if (match && match[1] in options && i + 1 < argv.length) {
+            const value = argv[++i];
+            options[match[1]] = typeof options[match[1]] === 'number' ? Number(value) : value;
+        }
+    }
+    return options;
+}
+
+// List available recordings as {text, name, file}, phrase text is derived from the filename
+function loadRecordings() {
+    return fs.readdirSync(VOCALS_DIR)
+        .filter(file => file.endsWith('.mp3'))
+        .map(file => ({
+            text: path.basename(file, '.mp3').replace(/_/g, ' '),
+            name: file,
+            file: path.join(VOCALS_DIR, file)
+        }));
+}
+
+// Pick `count` distinct random recordings
+function pickRandom(recordings, count) {
+    const pool = recordings.slice();
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+        picked.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+    }
+    return picked;
+}
+
+// Build POF response item for a recording in the requested format
+function toPOFPhrase(recording, format) {
+    switch (format) {
+        case 'string':
+            return recording.text;
+        case 'id':
+            return { text: recording.text, audioId: path.basename(recording.name, '.mp3') };
+        case 'base64':
+            return { text: recording.text, audioBase64: fs.readFileSync(recording.file).toString('base64') };
+        default:
+            return { text: recording.text, audio: `vocals/${encodeURIComponent(recording.name)}` };
+    }
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Simple HTML directory listing (used by phrases_debug.html to find orphan files in vocals/)
+function sendListing(res, dirPath) {
+    const links = fs.readdirSync(dirPath)
+        .map(file => `<a href="${encodeURIComponent(file)}">${escapeHtml(file)}</a>`)
+        .join('<br>\n');
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html>\n<html><body>\n${links}\n</body></html>`);
+}
+
+function sendFile(res, filePath) {
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        sendListing(res, filePath);
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            sendText(res, 404, 'Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        res.end(data);
+    });
+}
+
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const recordings = loadRecordings();
+
+    // Last batch of phrases returned by /pof, /voice.mp3 plays them in order (string format only)
+    let lastBatch = [];
+    let voiceIndex = 0;
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        let pathname;
+        try {
+            pathname = decodeURIComponent(url.pathname);
+        } catch (error) {
+            sendText(res, 400, 'Bad request'); // Malformed %-encoding
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (pathname === '/pof' && req.method === 'POST') {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                const size = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+                if (req.headers['content-type'] !== 'image/jpeg') {
+                    console.warn(`POST /pof: unexpected Content-Type ${req.headers['content-type']}`);
+                }
+                lastBatch = pickRandom(recordings, options.count);
+                voiceIndex = 0;
+                console.log(`POST /pof: ${size} bytes -> ${JSON.stringify(lastBatch.map(r => r.text))}`);
+
+                setTimeout(() => {
+                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify(lastBatch.map(r => toPOFPhrase(r, options.format))));
+                }, options.delay);
+            });
+            return;
+        }
+
+        if (pathname === '/voice.mp3' && req.method === 'GET') {
+            if (lastBatch.length === 0) {
+                sendText(res, 404, 'No POF phrases requested yet');
+                return;
+            }
+            const recording = lastBatch[voiceIndex % lastBatch.length];
+            voiceIndex++;
+            console.log(`GET /voice.mp3 -> ${recording.text}`);
+            sendFile(res, recording.file);
+            return;
+        }
+
+        if (req.method === 'GET') {
+            // Static files of the app
+            // (paths outside the app directory are refused, including siblings whose names start with its name)
+            const filePath = path.join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname);
+            const relativePath = path.relative(ROOT_DIR, filePath);
+            if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+                sendText(res, 403, 'Forbidden');
+                return;
+            }
+            sendFile(res, filePath);
+            return;
+        }
+
+        sendText(res, 405, 'Method not allowed');
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Mock POF server: ${recordings.length} recordings, ${options.format} format, listening on http://localhost:${options.port}`);
+        console.log(`App: http://localhost:${options.port}/?pofUrl=/pof&voiceUrl=/voice.mp3&pofAudioUrl=/vocals/{id}.mp3`);
+    });
+}
+
+main();
@@ -0,0 +1,353 @@
+// Headless tests of the phrase cycle state machine (conductor.js)
+// Drives PhraseConductor with a fake clock, fake playback and fake POF requests; no npm packages required.
+//
+//   npm test
+//   node _utils_/test_conductor.js
+//
+// Exit code 1 if a test fails.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Load conductor.js like the browser does (a plain script), returns its globals
+function loadConductor() {
+    const context = vm.createContext({ console: { log() {}, warn() {}, error() {} }, Promise, AbortController });
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'conductor.js'), 'utf-8'), context);
+    return vm.runInContext('({ PhraseConductor, CONDUCTOR_STATES })', context);
+}
+
+const { PhraseConductor, CONDUCTOR_STATES } = loadConductor();
+
+// Timers that only fire when the test advances the time
+class FakeClock {
+    constructor() {
+        this.time = 0;
+        this.timers = [];
+    }
+
+    setTimeout(fn, ms) {
+        const timer = { fn, at: this.time + ms };
+        this.timers.push(timer);
+        return timer;
+    }
+
+    clearTimeout(timer) {
+        this.timers = this.timers.filter(other => other !== timer);
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+        const due = this.timers.filter(timer => timer.at <= this.time).sort((a, b) => a.at - b.at);
+        this.timers = this.timers.filter(timer => timer.at > this.time);
+        due.forEach(timer => timer.fn());
+    }
+}
+
+// Let pending promise callbacks run
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Conductor with fake dependencies; played phrases and their slots are recorded
+function createHarness(options = {}) {
+    const clock = new FakeClock();
+    const harness = {
+        clock,
+        played: [], // Phrase texts in playing order
+        slots: [], // Playback slots, the last one is the current phrase
+        paused: 0,
+        fetches: [], // POF requests {signal, resolve, reject}
+        selectable: true
+    };
+    harness.conductor = new PhraseConductor({
+        clock,
+        script: options.script || { pauseMs: 100, steps: [{ local: 2 }, { pof: true }] },
+        prefetchPOF: options.prefetchPOF !== undefined ? options.prefetchPOF : false,
+        pofTimeoutMs: 5000,
+        pofMaxAgeMs: 10000,
+        selectLocalPhrase: () => (harness.selectable ? { phrase: { text: 'local' } } : null),
+        fetchPOFPhrases: signal => new Promise((resolve, reject) => {
+            harness.fetches.push({ signal, resolve, reject });
+            signal.addEventListener('abort', () => reject(signal.reason || new Error('aborted')));
+        }),
+        playPhrase: options.playPhrase || ((phrase, isVLM, context, slot) => {
+            harness.played.push(phrase.text);
+            harness.slots.push(slot);
+            return { pause: () => harness.paused++ };
+        })
+    });
+    harness.lastSlot = () => harness.slots[harness.slots.length - 1];
+    return harness;
+}
+
+const tests = [];
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+test('plays one phrase per idle period, repeated updates do not double-trigger', () => {
+    const { conductor, played, lastSlot, clock } = createHarness();
+    conductor.update({});
+    conductor.update({});
+    conductor.update({});
+    assert.deepStrictEqual(played, ['local']);
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.LOCAL);
+
+    lastSlot().ended();
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.COOLDOWN);
+    conductor.update({});
+    assert.strictEqual(played.length, 1, 'no phrase during cooldown');
+
+    clock.advance(100);
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+    conductor.update({});
+    assert.strictEqual(played.length, 2);
+});
+
+test('ended or failed of a finished phrase is ignored during cooldown', () => {
+    const { conductor, played, lastSlot, clock } = createHarness();
+    conductor.update({});
+    const slot = lastSlot();
+    slot.ended();
+    slot.ended();
+    slot.failed();
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.COOLDOWN);
+    assert.strictEqual(clock.timers.length, 1, 'a single cooldown timer');
+    clock.advance(100);
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+    assert.strictEqual(played.length, 1);
+});
+
+test('failed local phrase returns to idle without cooldown', () => {
+    const { conductor, lastSlot } = createHarness();
+    conductor.update({});
+    lastSlot().failed();
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+});
+
+test('phrase without playback handle does not get stuck', () => {
+    const harness = createHarness({ playPhrase: () => null });
+    harness.conductor.update({});
+    assert.strictEqual(harness.conductor.state, CONDUCTOR_STATES.IDLE);
+});
+
+test('no phrase for the viewer keeps the step and stays idle', () => {
+    const harness = createHarness();
+    harness.selectable = false;
+    harness.conductor.update({});
+    assert.strictEqual(harness.conductor.state, CONDUCTOR_STATES.IDLE);
+    assert.strictEqual(harness.conductor.stepPhrases, 0);
+});
+
+test('local phrases, then POF phrases, then local again', async () => {
+    const { conductor, played, lastSlot, clock, fetches } = createHarness();
+    for (let i = 0; i < 2; i++) {
+        conductor.update({});
+        lastSlot().ended();
+        clock.advance(100);
+    }
+    conductor.update({});
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.AWAITING_POF);
+    conductor.update({});
+    await flush();
+    assert.strictEqual(fetches.length, 1, 'a single POF request');
+
+    fetches[0].resolve([{ text: 'pof 1' }, { text: 'pof 2' }]);
+    await flush();
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.POF);
+    lastSlot().failed(); // Skipped without pause
+    assert.deepStrictEqual(played.slice(2), ['pof 1', 'pof 2']);
+    lastSlot().ended();
+    clock.advance(100);
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+    conductor.update({});
+    assert.strictEqual(played[played.length - 1], 'local');
+});
+
+test('reset while awaiting POF ignores the late answer', async () => {
+    const { conductor, played, lastSlot, fetches } = createHarness({ script: { pauseMs: 100, steps: [{ pof: true }] } });
+    conductor.update({});
+    await flush();
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.AWAITING_POF);
+    conductor.reset();
+    fetches[0].resolve([{ text: 'late' }]);
+    await flush();
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+    assert.deepStrictEqual(played, []);
+    assert.strictEqual(lastSlot(), undefined);
+});
+
+test('reset during playback and cooldown stops audio and timers', () => {
+    const { conductor, lastSlot, clock } = createHarness();
+    conductor.update({});
+    const harnessSlot = lastSlot();
+    conductor.reset();
+    assert.strictEqual(conductor.audio, null);
+    harnessSlot.ended(); // Stale slot
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+    assert.strictEqual(clock.timers.length, 0);
+});
+
+test('failed POF request continues with the next step', async () => {
+    const { conductor, fetches } = createHarness({ script: { pauseMs: 100, steps: [{ pof: true }, { local: 1 }] } });
+    conductor.update({});
+    await flush();
+    fetches[0].reject(new Error('POF service down'));
+    await flush();
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+    conductor.update({});
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.LOCAL);
+});
+
+test('once steps and conditions', () => {
+    const script = {
+        pauseMs: 0,
+        steps: [
+            { say: 'hello', once: true },
+            { local: 1, when: { emotion: ['sad'] } },
+            { silence: 1000, when: { minViewers: 2 } },
+            { local: 1 }
+        ]
+    };
+    const { conductor, played, lastSlot, clock } = createHarness({ script });
+    const input = { emotion: 'happy', viewerCount: 1 };
+    for (let i = 0; i < 3; i++) {
+        conductor.update(input);
+        lastSlot().ended();
+        clock.advance(0);
+    }
+    assert.deepStrictEqual(played, ['hello', 'local', 'local']);
+    assert.strictEqual(conductor.stepIndex, 0, 'emotion and viewer steps skipped');
+});
+
+test('reset while awaiting POF aborts the request and clears its timeout', async () => {
+    const { conductor, clock, fetches } = createHarness({ script: { pauseMs: 100, steps: [{ pof: true }] } });
+    conductor.update({});
+    await flush();
+    conductor.reset();
+    assert.ok(fetches[0].signal.aborted);
+    await flush();
+    assert.strictEqual(clock.timers.length, 0, 'timeout timer cleared');
+});
+
+test('timed out POF request is aborted and the script continues', async () => {
+    const { conductor, clock, fetches } = createHarness({ script: { pauseMs: 100, steps: [{ pof: true }, { local: 1 }] } });
+    conductor.update({});
+    await flush();
+    clock.advance(5000); // Timeout
+    await flush();
+    assert.ok(fetches[0].signal.aborted);
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+    conductor.update({});
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.LOCAL);
+});
+
+test('prefetches POF during the previous step and uses the buffered answer', async () => {
+    const { conductor, played, lastSlot, clock, fetches } = createHarness({ prefetchPOF: true });
+    conductor.update({});
+    await flush();
+    assert.strictEqual(fetches.length, 1, 'requested with the local step');
+    fetches[0].resolve([{ text: 'pof' }]);
+    for (let i = 0; i < 2; i++) {
+        lastSlot().ended();
+        clock.advance(100);
+        conductor.update({});
+        await flush();
+    }
+    assert.strictEqual(fetches.length, 1, 'no second request');
+    assert.deepStrictEqual(played, ['local', 'local', 'pof']);
+});
+
+test('no prefetch for a POF step that will be skipped', async () => {
+    const script = { pauseMs: 100, steps: [{ local: 1 }, { pof: true, when: { minDwellMs: 10000 } }] };
+    const { conductor, lastSlot, clock, fetches } = createHarness({ prefetchPOF: true, script });
+    conductor.update({ dwellMs: 0 });
+    await flush();
+    assert.strictEqual(fetches.length, 0);
+    lastSlot().ended();
+    clock.advance(100);
+    conductor.update({ dwellMs: 20000 });
+    await flush();
+    assert.strictEqual(fetches.length, 1, 'prefetched once the POF step would run');
+});
+
+test('buffered answer older than pofMaxAgeMs is discarded', async () => {
+    const script = { pauseMs: 100, steps: [{ local: 1 }, { pof: true }] };
+    const { conductor, played, lastSlot, clock, fetches } = createHarness({ prefetchPOF: true, script });
+    conductor.update({});
+    await flush();
+    fetches[0].resolve([{ text: 'old' }]);
+    await flush();
+    clock.advance(11000); // Photo of the prefetch is too old now
+    lastSlot().ended();
+    clock.advance(100);
+    conductor.update({});
+    await flush();
+    assert.strictEqual(fetches.length, 2, 'requested again');
+    fetches[1].resolve([{ text: 'fresh' }]);
+    await flush();
+    assert.deepStrictEqual(played, ['local', 'fresh']);
+});
+
+test('farewell once per visitor after the visitor has been gone for afterMs', () => {
+    const script = { pauseMs: 100, steps: [{ local: 1 }], farewell: { say: 'bye', afterMs: 1000, when: { minDwellMs: 5000 } } };
+    const { conductor, played, lastSlot, clock } = createHarness({ script });
+    conductor.update({});
+    conductor.depart({ absentMs: 2000, dwellMs: 10000 });
+    assert.deepStrictEqual(played, ['local'], 'the playing phrase is finished first');
+    lastSlot().ended();
+    conductor.depart({ absentMs: 500, dwellMs: 10000 });
+    assert.strictEqual(played.length, 1, 'not gone long enough');
+    conductor.depart({ absentMs: 2000, dwellMs: 10000 });
+    assert.deepStrictEqual(played, ['local', 'bye'], 'the pause is dropped');
+    lastSlot().ended();
+    clock.advance(100);
+    conductor.depart({ absentMs: 3000, dwellMs: 10000 });
+    assert.strictEqual(played.length, 2, 'only once');
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.IDLE);
+
+    conductor.reset(); // New visitor
+    conductor.depart({ absentMs: 2000, dwellMs: 1000 });
+    conductor.depart({ absentMs: 2000, dwellMs: 10000 });
+    assert.strictEqual(played.length, 2, 'short visit, conditions checked once');
+});
+
+test('farewell abandons a pending POF request', async () => {
+    const script = { pauseMs: 100, steps: [{ pof: true }], farewell: { say: 'bye' } };
+    const { conductor, played, fetches } = createHarness({ script });
+    conductor.update({});
+    await flush();
+    conductor.depart({ absentMs: 2000, dwellMs: 0 });
+    assert.ok(fetches[0].signal.aborted);
+    fetches[0].resolve([{ text: 'late' }]);
+    await flush();
+    assert.deepStrictEqual(played, ['bye']);
+    assert.strictEqual(conductor.state, CONDUCTOR_STATES.LOCAL);
+});
+
+async function main() {
+    let failed = 0;
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`FAIL - ${name}\n  ${error.message}`);
+        }
+    }
+    console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main();
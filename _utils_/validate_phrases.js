@@ -0,0 +1,64 @@
+// Phrase library validator (command line)
+// Loads PHRASES_DATA from phrases.js and reports missing audio, orphan mp3 files in vocals/,
+// duplicates across buckets and emotion/speed combinations without phrases.
+// Exits with code 1 if there are problems that break playback.
+//
+//   node _utils_/validate_phrases.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const VOCALS_DIR = path.join(ROOT_DIR, 'vocals');
+
+// Browser scripts are loaded into one context, the same way index.html loads them
+const BROWSER_SCRIPTS = ['phrases.js', 'phrase_selector.js', 'phrase_validator.js'];
+
+function loadBrowserScripts() {
+    // Informational console.log output of the scripts is muted
+    const context = vm.createContext({ console: { log: () => {}, warn: console.warn, error: console.error } });
+    BROWSER_SCRIPTS.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT_DIR, file), 'utf-8');
+        vm.runInContext(code, context, { filename: file });
+    });
+    return context;
+}
+
+function printSection(title, items, format) {
+    if (items.length === 0) return;
+    console.log(`\n${title} (${items.length}):`);
+    items.forEach(item => console.log(`  ${format(item)}`));
+}
+
+async function main() {
+    const context = loadBrowserScripts();
+    const audioFiles = fs.readdirSync(VOCALS_DIR).filter(file => file.endsWith('.mp3'));
+
+    context.audioFiles = audioFiles;
+    const { report, hasErrors } = await vm.runInContext(`(async () => {
+        await phraseSelector.loadPhrases();
+        const report = new PhraseValidator(PHRASES_DATA, phraseSelector).validate(audioFiles);
+        return { report, hasErrors: PhraseValidator.hasErrors(report) };
+    })()`, context);
+
+    console.log(`${report.phraseCount} phrases, ${audioFiles.length} mp3 files in vocals/`);
+
+    printSection('ERROR: missing audio', report.missingAudio,
+        item => `${item.filename}  <- "${item.phrase}" [${item.buckets.join(', ')}]`);
+    printSection('ERROR: empty buckets', report.emptyBuckets, item => item);
+    printSection('ERROR: emotion/speed combinations without phrases for an audience (selectPhrase() returns null)',
+        report.emptyCombinations, item => `${item.emotion}.${item.speedCategory}${item.audience ? ` (${item.audience})` : ''}`);
+    printSection('WARNING: orphan mp3 files', report.orphanAudio, item => item);
+    printSection('WARNING: duplicate phrases', report.duplicates,
+        item => `"${item.phrase}" [${item.buckets.join(', ')}]`);
+    printSection('WARNING: different phrases with the same audio file', report.filenameCollisions,
+        item => `${item.filename}  <- ${item.phrases.map(phrase => `"${phrase}"`).join(', ')}`);
+    printSection('WARNING: buckets never selected (unknown emotion or speed key)', report.unknownBuckets,
+        item => item);
+
+    console.log(hasErrors ? '\nValidation failed' : '\nValidation passed');
+    process.exitCode = hasErrors ? 1 : 0;
+}
+
+main();
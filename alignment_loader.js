@@ -0,0 +1,102 @@
+// Word alignment module
+// Optional word timings for local phrases, stored next to the mp3 in vocals/ with the same name
+// and a .json extension (e.g. vocals/Прочь_с_дороги.json for vocals/Прочь_с_дороги.mp3):
+//
+//   {"words": [{"word": "Пр+очь", "start": 0.12, "end": 0.48}, {"word": "с", "start": 0.48, "end": 0.55}, ...]}
+//
+// start/end are seconds from the beginning of the audio. Words are matched to the phrase text in
+// order, ignoring case, punctuation and "+" stress markers. Phrases without an alignment file,
+// or with one that doesn't match the text, are shown with the regular reveal animation.
+
+// Comparable form of a word: lowercase letters and digits only
+function normalizeAlignmentWord(word) {
+    return word.replace(/\+/g, '').replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+}
+
+// Check and clean alignment data, returns [{word, start, end}] or null if invalid
+function parseAlignment(data) {
+    if (!data || !Array.isArray(data.words) || data.words.length === 0) {
+        return null;
+    }
+    const words = [];
+    for (const item of data.words) {
+        if (!item || typeof item.word !== 'string' ||
+            typeof item.start !== 'number' || typeof item.end !== 'number' || item.end < item.start) {
+            return null;
+        }
+        words.push({ word: item.word, start: item.start, end: item.end });
+    }
+    return words;
+}
+
+// Match alignment words to the words of the displayed text (split by whitespace)
+// Returns timings per text word [{start, end}] or null if the words don't match.
+// Text words without letters (dashes, ellipses) take the timing of the preceding word.
+function matchAlignmentToText(alignmentWords, textWords) {
+    const timings = [];
+    let next = 0;
+    let previous = null;
+    for (const textWord of textWords) {
+        const normalized = normalizeAlignmentWord(textWord);
+        if (normalized.length === 0) {
+            timings.push(previous || { start: 0, end: 0 });
+            continue;
+        }
+        const aligned = alignmentWords[next];
+        if (!aligned || normalizeAlignmentWord(aligned.word) !== normalized) {
+            return null;
+        }
+        previous = { start: aligned.start, end: aligned.end };
+        timings.push(previous);
+        next++;
+    }
+    return next === alignmentWords.length ? timings : null;
+}
+
+class AlignmentLoader {
+    constructor(baseUrl = 'vocals/') {
+        this.baseUrl = baseUrl;
+        this.cache = new Map(); // audio filename -> Promise of words or null
+    }
+
+    // Alignment filename for an audio filename (phraseToFilename() / getAudioFilename() result)
+    getAlignmentFilename(audioFilename) {
+        return audioFilename.replace(/\.mp3$/i, '') + '.json';
+    }
+
+    // Alignment file URL for an audio filename (also precached by the service worker)
+    getAlignmentUrl(audioFilename) {
+        return this.baseUrl + encodeURIComponent(this.getAlignmentFilename(audioFilename));
+    }
+
+    // Load word timings for an audio file, resolves to [{word, start, end}] or null (never rejects)
+    load(audioFilename) {
+        if (!audioFilename) {
+            return Promise.resolve(null);
+        }
+        if (!this.cache.has(audioFilename)) {
+            const url = this.getAlignmentUrl(audioFilename);
+            const request = fetch(url)
+                .then(response => (response.ok ? response.json() : null))
+                .then(data => {
+                    if (data === null) {
+                        return null; // No alignment for this phrase
+                    }
+                    const words = parseAlignment(data);
+                    if (!words) {
+                        console.warn(`Invalid alignment file: ${url}`);
+                    }
+                    return words;
+                })
+                .catch(error => {
+                    console.warn(`Failed to load alignment: ${url}`, error);
+                    return null;
+                });
+            this.cache.set(audioFilename, request);
+        }
+        return this.cache.get(audioFilename);
+    }
+}
+
+// Create global instance
+const alignmentLoader = new AlignmentLoader();
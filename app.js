@@ -7,47 +7,128 @@ const closeBtn = document.getElementById('closeBtn');
 const statusEl = document.getElementById('status');
 const fullScreenView = document.getElementById('fullScreenView');
 const startScreen = document.getElementById('startScreen');
+const cameraSelect = document.getElementById('cameraSelect');
+const resolutionSelect = document.getElementById('resolutionSelect');
+const mirrorCheckbox = document.getElementById('mirrorCheckbox');
+const modelProgressEl = document.getElementById('modelProgress');
 
 let isRunning = false;
+let cameraStarting = false; // getUserMedia or video metadata pending
 let detectionInterval = null;
 
-// Movement tracking data structure
-const faceMovementData = new Map(); // faceId -> {positions: [], speeds: [], timestamps: []}
-let frameCount = 0;
-let previousDetections = [];
-const SPEED_WINDOW_SIZE = 5; // Number of frames to average speed over
-const MIN_FRAMES_FOR_SPEED = 5; // Minimum frames before showing speed
+// Face tracking (stable track IDs, see face_tracker.js)
+const faceTracker = new FaceTracker({
+    confirmHits: appConfig.trackerConfirmHits,
+    maxLostMs: appConfig.trackerMaxLostMs
+});
 
-// Message playback configuration
-const MESSAGE_DELAY_MS = 500; // Delay between messages (0-1000ms, easily configurable)
+// Movement tracking data structure
+const faceMovementData = new Map(); // faceId (track ID) -> {positions: [], speeds: [], timestamps: [], emotionHistory: [], emotionEma}
+const SPEED_WINDOW_SIZE = 5; // Number of speed samples (detections) to average speed over
+const MIN_FRAMES_FOR_SPEED = 5; // Minimum speed samples before showing speed
 
 // Phrase display tracking
 let phraseDisplayData = {
     currentPhrase: null,
-    isVLM: false // Whether this phrase is from POF service
+    isVLM: false, // Whether this phrase is from POF service
+    wordTimings: null // Karaoke word timings [{start, end}] if the phrase has an alignment file
 };
 
-// Audio playback tracking
-let currentAudio = null; // Currently playing Audio object
-let isWaitingForNextMessage = false; // Flag to prevent multiple simultaneous message triggers
-let nextMessageTimeout = null; // Timeout for delayed next message
+// Phrase audio, ambient track and voice effects (see audio_engine.js)
+const audioEngine = new AudioEngine({
+    masterVolume: appConfig.masterVolume,
+    crossfadeMs: appConfig.crossfadeMs,
+    ambientUrl: appConfig.ambientUrl,
+    ambientVolume: appConfig.ambientVolume,
+    duckLevel: appConfig.ambientDuckLevel,
+    emotionEffects: appConfig.emotionAudioEffects,
+    cacheLimitBytes: appConfig.audioCacheMb * 1024 * 1024,
+    uncachedUrls: [appConfig.voiceUrl] // Serves the next clip of the POF batch on every request
+});
+
+// Phrase cycle: runs the active cycle script and tracks the playing audio (see conductor.js, cycle_scripts.yaml)
+const conductor = new PhraseConductor({
+    selectLocalPhrase,
+    fetchPOFPhrases,
+    playPhrase: playPhraseAudio,
+    script: getCycleScript(appConfig.cycleScript),
+    prefetchPOF: appConfig.pofPrefetch,
+    pofTimeoutMs: appConfig.pofTimeoutMs,
+    pofMaxAgeMs: appConfig.pofMaxAgeMs
+});
+
+// Head pose and gesture detection (see head_gestures.js)
+const headGestureDetector = new HeadGestureDetector({
+    windowMs: appConfig.gestureWindowMs
+});
+
+// New visitor detection for phrase cycle reset (see visitor_detector.js)
+const visitorDetector = new VisitorDetector(faceTracker, {
+    absenceMs: appConfig.newVisitorAbsenceMs,
+    maxDescriptorDistance: appConfig.newVisitorDescriptorDistance
+});
+
+// Video effect chain (see render_effects.js), created when the video size is known
+let effectChain = null;
+
+// Display mode: installation, debug or kiosk (see display_modes.js)
+const displayModes = new DisplayModeSwitcher(appConfig.displayMode);
+
+// Frame rates for the debug overlay
+let lastRenderAt = null;
+let renderFps = 0; // Smoothed render frame rate
+
+// Camera device, resolution and mirroring, remembered in localStorage (see camera_settings.js)
+const cameraSettings = new CameraSettings({ mirror: appConfig.mirror, mirrorFromConfig: isConfigSet('mirror') });
+let cameraDevices = []; // Connected cameras [{deviceId, label}]
+let activeDeviceId = null; // Camera of the running stream
+
+// Phrase text layout and reveal animation (see phrase_layout.js)
+const phraseLayout = new PhraseLayout({
+    mirror: cameraSettings.mirror,
+    maxWidthRatio: appConfig.phraseMaxWidth,
+    animation: appConfig.phraseAnimation
+});
+
+// Face detection, runs at its own rate off the render loop (see face_detector.js)
+const faceDetector = new FaceDetector({
+    scriptUrls: [appConfig.faceApiUrl, appConfig.localFaceApiUrl].filter(url => url),
+    modelUrls: [appConfig.modelUrl, appConfig.localModelUrl].filter(url => url),
+    onProgress: updateModelProgress,
+    useWorker: appConfig.detectionWorker,
+    intervalMs: appConfig.detectionIntervalMs,
+    withDescriptors: appConfig.trackerDescriptors
+});
 
-// Phrase cycle tracking
-let localPhraseCount = 0; // Counter for local phrases selected (reset after 3)
-let isInPOFMode = false; // Whether we're currently displaying POF phrases
-let pofPhrases = []; // Array of phrases from POF endpoint
-let currentPOFPhraseIndex = 0; // Current index in POF phrases array
-let pofRequestInProgress = false; // Track if POF request is currently in progress
-const LOCAL_PHRASES_BEFORE_POF = 3; // Number of local phrases before calling POF
+// Latest detection results, drawn every render frame with interpolated boxes
+let currentDetections = [];
+let mainFace = null; // Largest face of the latest results
+let lastResultAt = null; // performance.now() when the latest results arrived
+let resultInterval = 0; // Time between the last two results (box interpolation period)
 
-// Face tracking for reset detection
-let lastFaceId = null; // Track face ID to detect new person
+// Unattended operation: retries with backoff, video watchdog, self-reload (see unattended.js)
+const supervisor = appConfig.unattended ? new UnattendedSupervisor({
+    baseDelayMs: appConfig.retryBaseDelayMs,
+    maxDelayMs: appConfig.retryMaxDelayMs,
+    maxFailures: appConfig.reloadAfterFailures,
+    frozenMs: appConfig.frozenVideoMs
+}) : null;
+let stopVideoWatch = null; // Stops the video watchdog of the running camera
 
-// Video frame buffer for blur effect (moving average over last 5 frames)
-const FRAME_BUFFER_SIZE = 3;
-const frameBuffer = [];
-let offscreenCanvas = null;
-let offscreenCtx = null;
+// Show loading progress of the face-api bundle and each model on the start screen
+function updateModelProgress(key, state, url) {
+    const model = FACE_MODELS.find(item => item.net === key);
+    const title = model ? model.title : 'face-api.js';
+    let item = modelProgressEl.querySelector(`[data-key="${key}"]`);
+    if (!item) {
+        item = document.createElement('li');
+        item.dataset.key = key;
+        modelProgressEl.appendChild(item);
+    }
+    const source = url && (url === appConfig.localModelUrl || url === appConfig.localFaceApiUrl) ? ' (local copy)' : '';
+    item.textContent = `${title}: ${state}${source}`;
+    item.className = state;
+}
 
 // Load face-api models
 async function loadModels() {
@@ -55,52 +136,64 @@ async function loadModels() {
         statusEl.textContent = 'Loading AI models...';
         statusEl.className = 'loading';
         
-        // Load all required models
-        await Promise.all([
-            faceapi.nets.tinyFaceDetector.loadFromUri('https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/'),
-            faceapi.nets.faceLandmark68Net.loadFromUri('https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/'),
-            faceapi.nets.faceRecognitionNet.loadFromUri('https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/'),
-            faceapi.nets.faceExpressionNet.loadFromUri('https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/'),
-            faceapi.nets.ageGenderNet.loadFromUri('https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/')
-        ]);
+        // Load all required models (in the detection worker if available)
+        await faceDetector.load();
         
         statusEl.textContent = 'Models loaded successfully!';
         statusEl.className = 'success';
         startBtn.disabled = false;
+        
+        if (supervisor) {
+            supervisor.succeed('model loading');
+        }
+        
+        // Kiosk and unattended modes start without the Start button
+        if (displayModes.settings.kiosk || appConfig.unattended) {
+            startCamera();
+        }
     } catch (error) {
         console.error('Error loading models:', error);
         statusEl.textContent = 'Error loading models. Check console for details.';
         statusEl.className = 'error';
+        if (supervisor) {
+            statusEl.textContent = 'Error loading models, retrying...';
+            supervisor.fail('model loading', error, loadModels);
+        }
     }
 }
 
-// Start webcam
+// Start webcam (ignored while the camera is running or starting)
 async function startCamera() {
+    if (isRunning || cameraStarting) {
+        return;
+    }
+    cameraStarting = true;
     try {
         startBtn.disabled = true;
+        audioEngine.resume(); // Allowed now if started by a click
         statusEl.textContent = 'Accessing camera...';
         statusEl.className = 'loading';
         
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                width: { ideal: 1280 },
-                height: { ideal: 720 },
-//                facingMode: 'user'
-            }
-        });
+        const stream = await navigator.mediaDevices.getUserMedia(await cameraSettings.getConstraints());
         
         video.srcObject = stream;
+        activeDeviceId = stream.getVideoTracks()[0].getSettings().deviceId || null;
+        
+        // Device labels are available once camera permission is granted
+        updateCameraPicker();
         
         video.addEventListener('loadedmetadata', () => {
             // Set canvas size to match video
             canvas.width = video.videoWidth;
             canvas.height = video.videoHeight;
             
-            // Create offscreen canvas for frame buffer
-            offscreenCanvas = document.createElement('canvas');
-            offscreenCanvas.width = video.videoWidth;
-            offscreenCanvas.height = video.videoHeight;
-            offscreenCtx = offscreenCanvas.getContext('2d');
+            // Create the video effect chain
+            effectChain = new EffectChain(
+                video.videoWidth,
+                video.videoHeight,
+                parseEffectNames(appConfig.renderEffects),
+                appConfig.frameBudgetMs
+            );
             
             statusEl.textContent = 'Camera ready';
             statusEl.className = 'success';
@@ -109,21 +202,43 @@ async function startCamera() {
             startScreen.style.display = 'none';
             fullScreenView.classList.remove('hidden');
             
+            cameraStarting = false;
             isRunning = true;
+            audioEngine.startAmbient();
             
-            // Start detection loop
-            detectFaces();
-        });
+            // Start render loop (detection runs at its own rate)
+            renderFrame();
+            
+            // Restart the camera if its track ends or the video freezes
+            if (supervisor) {
+                supervisor.succeed('camera');
+                stopVideoWatch = supervisor.watchVideo(video, restartCamera);
+            }
+        }, { once: true });
     } catch (error) {
+        cameraStarting = false;
         console.error('Error accessing camera:', error);
         statusEl.textContent = 'Error accessing camera. Please allow camera permissions.';
         statusEl.className = 'error';
         startBtn.disabled = false;
+        if (supervisor) {
+            statusEl.textContent = 'Error accessing camera, retrying...';
+            supervisor.fail('camera', error, startCamera);
+        }
     }
 }
 
+// Camera stopped working while running (unattended mode) - stop it and start again after backoff
+function restartCamera(reason) {
+    stopCamera();
+    statusEl.textContent = 'Camera lost, restarting...';
+    statusEl.className = 'loading';
+    supervisor.fail('camera', new Error(reason), startCamera);
+}
+
 // Stop webcam
 function stopCamera() {
+    audioEngine.stopAmbient();
     if (video.srcObject) {
         const tracks = video.srcObject.getTracks();
         tracks.forEach(track => track.stop());
@@ -135,40 +250,39 @@ function stopCamera() {
         detectionInterval = null;
     }
     
+    if (stopVideoWatch) {
+        stopVideoWatch();
+        stopVideoWatch = null;
+    }
+    activeDeviceId = null;
+    
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    // Clear movement tracking data
+    // Clear detection results, tracks and movement tracking data
+    faceDetector.reset();
+    currentDetections = [];
+    mainFace = null;
+    lastResultAt = null;
+    resultInterval = 0;
+    faceTracker.reset();
     faceMovementData.clear();
-    // Stop any playing audio
-    if (currentAudio) {
-        currentAudio.pause();
-        currentAudio = null;
-    }
-    
-    // Clear any pending timeout
-    if (nextMessageTimeout) {
-        clearTimeout(nextMessageTimeout);
-        nextMessageTimeout = null;
-    }
+    // Stop any playing audio and pending phrases, start the cycle over
+    conductor.reset();
     
     // Reset phrase display data
     phraseDisplayData = {
         currentPhrase: null,
-        isVLM: false
+        isVLM: false,
+        wordTimings: null
     };
     
-    // Reset phrase cycle tracking
-    isWaitingForNextMessage = false;
-    localPhraseCount = 0;
-    isInPOFMode = false;
-    pofPhrases = [];
-    currentPOFPhraseIndex = 0;
-    pofRequestInProgress = false;
-    lastFaceId = null;
-    previousDetections = [];
-    frameCount = 0;
-    frameBuffer.length = 0; // Clear frame buffer
+    visitorDetector.reset();
+    if (effectChain) {
+        effectChain.reset(); // Clear accumulated frames
+    }
+    lastRenderAt = null;
+    renderFps = 0;
     
     // Switch back to start screen
     fullScreenView.classList.add('hidden');
@@ -180,11 +294,6 @@ function stopCamera() {
     statusEl.className = '';
 }
 
-// Calculate distance between two points
-function distance(p1, p2) {
-    return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
-}
-
 // Convert Cartesian velocity to polar coordinates
 function cartesianToPolar(vx, vy) {
     const magnitude = Math.sqrt(vx * vx + vy * vy); // speed
@@ -192,33 +301,7 @@ function cartesianToPolar(vx, vy) {
     return { magnitude, angle };
 }
 
-// Match current face to previous face based on position proximity
-function matchFaceToPrevious(currentBox, previousBoxes, threshold = 100) {
-    let bestMatch = -1;
-    let minDistance = Infinity;
-    
-    const currentCenter = {
-        x: currentBox.x + currentBox.width / 2,
-        y: currentBox.y + currentBox.height / 2
-    };
-    
-    previousBoxes.forEach((prevBox, index) => {
-        const prevCenter = {
-            x: prevBox.x + prevBox.width / 2,
-            y: prevBox.y + prevBox.height / 2
-        };
-        
-        const dist = distance(currentCenter, prevCenter);
-        if (dist < threshold && dist < minDistance) {
-            minDistance = dist;
-            bestMatch = index;
-        }
-    });
-    
-    return bestMatch;
-}
-
-// Calculate movement speed for a face
+// Calculate movement speed for a face (timeDelta in seconds)
 function calculateMovementSpeed(currentBox, previousBox, timeDelta) {
     if (!previousBox || timeDelta === 0) return null;
     
@@ -239,53 +322,58 @@ function calculateMovementSpeed(currentBox, previousBox, timeDelta) {
     // Convert to polar coordinates
     const polar = cartesianToPolar(vx, vy);
     
+    // Face size, so that faces near and far from the camera get comparable speeds
+    const faceWidth = (currentBox.width + previousBox.width) / 2;
+    
     return {
-        speed: polar.magnitude, // pixels per frame (can be converted to pixels per second)
+        speed: polar.magnitude, // pixels per second
+        normalizedSpeed: faceWidth > 0 ? polar.magnitude / faceWidth : 0, // face widths per second
         angle: polar.angle,
         vx: vx,
         vy: vy
     };
 }
 
-// Update movement tracking for all faces
+// Update movement tracking for all faces (currentTime from performance.now(), in ms)
 function updateMovementTracking(detections, currentTime) {
-    // Match current detections to previous ones
-    detections.forEach((detection, idx) => {
+    // Assign stable track IDs (sets detection.faceId)
+    faceTracker.update(detections, currentTime);
+    
+    detections.forEach(detection => {
         const box = detection.detection.box;
-        const matchIdx = matchFaceToPrevious(box, previousDetections);
-        
-        let faceId;
-        let timeDelta = 1; // Default: 1 frame difference
-        
-        if (matchIdx >= 0 && previousDetections[matchIdx].faceId !== undefined) {
-            // Matched to previous face
-            faceId = previousDetections[matchIdx].faceId;
-            timeDelta = currentTime - (previousDetections[matchIdx].timestamp || currentTime - 1);
-            if (timeDelta === 0) timeDelta = 1;
-        } else {
-            // New face
-            faceId = `face_${frameCount}_${idx}_${Date.now()}`;
-        }
-        
-        // Store face ID in detection for next frame
-        detection.faceId = faceId;
-        detection.timestamp = currentTime;
+        const faceId = detection.faceId;
         
         // Get or create movement data for this face
         if (!faceMovementData.has(faceId)) {
             faceMovementData.set(faceId, {
                 positions: [],
-                speeds: [],
+                speeds: [], // px/s
+                normalizedSpeeds: [], // face widths per second
                 timestamps: [],
                 lastBox: null,
-                lastTime: currentTime
+                lastTime: currentTime,
+                emotionHistory: [], // Expression scores of the last frames (appConfig.emotionHistorySize)
+                emotionEma: null, // Exponential moving average of expression scores
+                poseHistory: [], // Head poses of the last appConfig.gestureWindowMs ({time, pose})
+                headPose: null, // Head pose of the latest detection {yaw, pitch, roll, mouthOpenness}
+                gestures: [] // Head gestures seen in the pose history (see head_gestures.js)
             });
         }
         
         const movementData = faceMovementData.get(faceId);
         
+        // Add current expressions to emotion history
+        updateEmotionHistory(movementData, detection.expressions);
+        
+        // Estimate head pose from landmarks and detect gestures
+        movementData.headPose = estimateHeadPose(detection.landmarks.positions);
+        headGestureDetector.addPose(movementData.poseHistory, movementData.headPose, currentTime);
+        movementData.gestures = headGestureDetector.detectGestures(movementData.poseHistory);
+        
         // Calculate speed if we have previous data
         if (movementData.lastBox && movementData.lastTime) {
+            // Seconds since the face was last seen (real time, independent of frame rate)
+            const timeDelta = (currentTime - movementData.lastTime) / 1000;
             const movement = calculateMovementSpeed(
                 box,
                 movementData.lastBox,
@@ -294,11 +382,13 @@ function updateMovementTracking(detections, currentTime) {
             
             if (movement) {
                 movementData.speeds.push(movement.speed);
+                movementData.normalizedSpeeds.push(movement.normalizedSpeed);
                 movementData.timestamps.push(currentTime);
                 
                 // Keep only recent data (sliding window)
                 if (movementData.speeds.length > SPEED_WINDOW_SIZE) {
                     movementData.speeds.shift();
+                    movementData.normalizedSpeeds.shift();
                     movementData.timestamps.shift();
                 }
             }
@@ -308,28 +398,6 @@ function updateMovementTracking(detections, currentTime) {
         movementData.lastBox = box;
         movementData.lastTime = currentTime;
     });
-    
-    // Store current detections for next frame
-    previousDetections = detections.map(d => ({
-        x: d.detection.box.x,
-        y: d.detection.box.y,
-        width: d.detection.box.width,
-        height: d.detection.box.height,
-        faceId: d.faceId,
-        timestamp: d.timestamp
-    }));
-    
-    // Clean up old faces that are no longer detected (after 30 frames)
-    const staleThreshold = frameCount - 30;
-    faceMovementData.forEach((data, faceId) => {
-        if (!detections.find(d => d.faceId === faceId)) {
-            // Face not in current detection, remove if stale
-            const lastSeen = data.lastTime || 0;
-            if (frameCount - lastSeen > 30) {
-                faceMovementData.delete(faceId);
-            }
-        }
-    });
 }
 
 // Get average movement speed for a face
@@ -339,194 +407,282 @@ function getAverageSpeed(faceId) {
         return null;
     }
     
-    const speeds = movementData.speeds;
-    const avgSpeed = speeds.reduce((sum, speed) => sum + Math.abs(speed), 0) / speeds.length;
-    
-    // Convert pixels per frame to pixels per second (assuming ~30 fps)
-    const fps = 30;
-    const speedPerSecond = avgSpeed * fps;
+    const average = values => values.reduce((sum, value) => sum + Math.abs(value), 0) / values.length;
     
     return {
-        avgSpeed: avgSpeed,
-        speedPerSecond: speedPerSecond,
-        sampleCount: speeds.length
+        speedPerSecond: average(movementData.speeds), // px/s
+        normalizedSpeed: average(movementData.normalizedSpeeds), // face widths per second
+        sampleCount: movementData.speeds.length
     };
 }
 
-// Reset phrase cycle when new person appears
-function resetPhraseCycle() {
-    // Stop any playing audio
-    if (currentAudio) {
-        currentAudio.pause();
-        currentAudio = null;
+// Get the speed value used for phrase selection (units of appConfig.speedLoThreshold/speedHiThreshold)
+function getSelectionSpeed(speedData) {
+    if (!speedData) {
+        return null;
     }
+    return appConfig.speedNormalization ? speedData.normalizedSpeed : speedData.speedPerSecond;
+}
+
+// Add expression scores of the current frame to the emotion history of a face
+function updateEmotionHistory(movementData, expressions) {
+    const current = {};
+    Object.keys(expressions).forEach(emotion => {
+        current[emotion] = expressions[emotion];
+    });
     
-    // Clear any pending timeout
-    if (nextMessageTimeout) {
-        clearTimeout(nextMessageTimeout);
-        nextMessageTimeout = null;
+    // Sliding window for window average and vote
+    movementData.emotionHistory.push(current);
+    if (movementData.emotionHistory.length > appConfig.emotionHistorySize) {
+        movementData.emotionHistory.shift();
     }
     
-    // Reset all state
-    phraseDisplayData.currentPhrase = null;
-    isWaitingForNextMessage = false;
-    localPhraseCount = 0;
-    isInPOFMode = false;
-    pofPhrases = [];
-    currentPOFPhraseIndex = 0;
-    pofRequestInProgress = false;
-}
-
-// Helper function to select and play local phrase
-function selectAndPlayLocalPhrase(dominantEmotionX, speedPixelsPerFrame) {
-    const newPhrase = phraseSelector.selectPhrase(dominantEmotionX, speedPixelsPerFrame);
-    if (newPhrase) {
-        // Play audio for the new phrase immediately
-        playPhraseAudio(newPhrase, false);
+    // Exponential moving average
+    if (!movementData.emotionEma) {
+        movementData.emotionEma = { ...current };
     } else {
-        // If no phrase selected, trigger next message
-        triggerNextMessage();
+        const alpha = appConfig.emotionEmaAlpha;
+        Object.keys(current).forEach(emotion => {
+            const previous = movementData.emotionEma[emotion] || 0;
+            movementData.emotionEma[emotion] = alpha * current[emotion] + (1 - alpha) * previous;
+        });
     }
 }
 
-// Convert phrase text to filename format (remove punctuation, replace spaces with underscores, add .mp3)
-function phraseToFilename(phrase) {
-    if (!phrase) return null;
-    // Remove punctuation but keep letters (including Cyrillic), numbers, spaces, and + character
-    // Remove common punctuation: . , ! ? : ; " ' ( ) [ ] { } - etc.
-    let filename = phrase.replace(/[.,!?:;"'()\[\]{}\-–—…]/g, '');
-    // Replace spaces with underscores
-    filename = filename.replace(/\s+/g, '_');
-    filename = filename.replace(/\+/g, '');
-    // Add .mp3 extension
-    return filename + '.mp3';
+// Get smoothed expression scores for a face (method set by appConfig.emotionSmoothing):
+//   'ema'    - exponential moving average of the scores
+//   'window' - average of the scores over the history window
+//   'vote'   - share of frames in the history window in which each emotion was dominant
+//   'none'   - scores of the current frame
+function getSmoothedExpressions(faceId, currentExpressions) {
+    const movementData = faceMovementData.get(faceId);
+    if (!movementData || movementData.emotionHistory.length === 0) {
+        return currentExpressions;
+    }
+    
+    const history = movementData.emotionHistory;
+    const smoothed = {};
+    switch (appConfig.emotionSmoothing) {
+        case 'ema':
+            return { ...movementData.emotionEma };
+        case 'window':
+            history.forEach(frame => {
+                Object.keys(frame).forEach(emotion => {
+                    smoothed[emotion] = (smoothed[emotion] || 0) + frame[emotion] / history.length;
+                });
+            });
+            return smoothed;
+        case 'vote':
+            Object.keys(history[history.length - 1]).forEach(emotion => {
+                smoothed[emotion] = 0;
+            });
+            history.forEach(frame => {
+                const winner = Object.keys(frame).reduce((a, b) => frame[a] > frame[b] ? a : b);
+                smoothed[winner] += 1 / history.length;
+            });
+            return smoothed;
+        default:
+            return currentExpressions;
+    }
 }
 
-// Play audio for a phrase (local or POF) - event-driven
-function playPhraseAudio(phrase, isVLM = false) {
-    if (!phrase) {
-        // If no phrase, trigger next message immediately
-        triggerNextMessage();
-        return;
+// Reset phrase cycle when new person appears
+function resetPhraseCycle() {
+    conductor.reset(); // Stops the audio, a pending POF response is ignored
+    phraseDisplayData.currentPhrase = null;
+}
+
+// Cycle script by name from CYCLE_SCRIPTS (cycle_scripts.js), null for the conductor's default
+function getCycleScript(name) {
+    if (typeof CYCLE_SCRIPTS === 'undefined') {
+        console.warn('CYCLE_SCRIPTS is not defined, using the default phrase cycle');
+        return null;
     }
-    
-    // Stop any currently playing audio
-    if (currentAudio) {
-        currentAudio.pause();
-        currentAudio = null;
+    if (!CYCLE_SCRIPTS[name]) {
+        console.warn(`Unknown cycle script "${name}", using the default phrase cycle`);
+        return CYCLE_SCRIPTS.default || null;
     }
-    
-    // Clear any pending timeout
-    if (nextMessageTimeout) {
-        clearTimeout(nextMessageTimeout);
-        nextMessageTimeout = null;
+    return CYCLE_SCRIPTS[name];
+}
+
+// Get dominant emotion including 'neutral' (cycle script conditions)
+function getDominantEmotion(expressions) {
+    return Object.keys(expressions).reduce((a, b) => expressions[a] > expressions[b] ? a : b, 'neutral');
+}
+
+// Get dominant emotion excluding 'neutral' ('neutral' if there are no other emotions)
+function getDominantEmotionExNeutral(expressions) {
+    const emotionsExNeutral = Object.keys(expressions).filter(k => k !== 'neutral');
+    if (emotionsExNeutral.length === 0) {
+        return 'neutral';
     }
-    
+    return emotionsExNeutral.reduce((a, b) => 
+        expressions[a] > expressions[b] ? a : b
+    );
+}
+
+// Select the next local phrase for the conductor ({phrase, context} or null if none fits)
+// The emotion is the dominant one or, in weighted selection mode, drawn from the whole expression vector
+// viewer ({age, gender, genderProbability}) is used for audience-targeted phrases
+function selectLocalPhrase({ expressions, speed, viewer }) {
+    const emotion = appConfig.selectionMode === 'weighted'
+        ? phraseSelector.pickEmotion(expressions, appConfig.neutralThreshold)
+        : getDominantEmotionExNeutral(expressions);
+    const newPhrase = phraseSelector.selectPhrase(emotion, speed, viewer);
+    if (!newPhrase) {
+        return null;
+    }
+    // Warm the audio of the likely next phrases while this one plays
+    const likelyPhrases = phraseSelector.getLikelyPhrases(emotion, speed, viewer, appConfig.preloadPhrases);
+    audioEngine.preload(likelyPhrases.map(phrase => `vocals/${getAudioFilename(phrase)}`));
+    return {
+        phrase: newPhrase,
+        context: {
+            emotion: emotion,
+            speedCategory: phraseSelector.getSpeedCategory(speed)
+        }
+    };
+}
+
+// Play audio for a phrase entry (local entry from PhraseSelector or POF entry), called by the conductor
+// context ({emotion, speedCategory}) is used to shape the speech fallback for local phrases;
+// fixed phrases marked tts (no recording) are spoken by speech synthesis right away
+// slot is the conductor's playback slot: its ended()/failed() are called when playback stops,
+// slot.audio is replaced by the speech fallback. Returns the playback handle (null if there is no audio)
+function playPhraseAudio(phrase, isVLM, context, slot) {
     // Update display immediately
-    phraseDisplayData.currentPhrase = phrase;
+    phraseDisplayData.currentPhrase = phrase.text;
     phraseDisplayData.isVLM = isVLM;
+    phraseDisplayData.wordTimings = null;
+    
+    if (!isVLM && phrase.tts) {
+        if (!speechFallback.isSupported()) {
+            phraseDisplayData.currentPhrase = null;
+            return null;
+        }
+        slot.audio = speakPhrase(phrase, context, slot);
+        return slot.audio;
+    }
     
     let audioPath;
     if (isVLM) {
-        // For POF phrases, use the voice.mp3 endpoint
-        audioPath = 'https://dh.ycloud.eazify.net:8443/voice.mp3';
+        // For POF phrases, use the audio reference that came with the phrase
+        audioPath = phrase.audioSrc;
     } else {
         // For local phrases, use the vocals directory
-        const filename = phraseToFilename(phrase);
+        const filename = getAudioFilename(phrase);
         if (!filename) {
-            triggerNextMessage();
-            return;
+            phraseDisplayData.currentPhrase = null;
+            return null;
         }
         audioPath = `vocals/${filename}`;
+        loadWordTimings(phrase.text, filename);
     }
     
-    const audio = new Audio(audioPath);
-    isWaitingForNextMessage = false;
     let audioErrored = false; // Flag to track if audio has errored
     
-    audio.onended = () => {
-        // Only handle ended if audio didn't error
-        if (!audioErrored && currentAudio === audio) {
-            // Audio finished - trigger next message after delay
-            currentAudio = null;
-            isWaitingForNextMessage = false;
-            
-            // Wait for configured delay, then trigger next message
-            nextMessageTimeout = setTimeout(() => {
-                triggerNextMessage();
-            }, MESSAGE_DELAY_MS);
+    // Playback (audio or speech fallback) finished - the conductor pauses, then moves on
+    const handlePlaybackEnded = (player) => {
+        if (slot.audio === player) {
+            slot.ended();
         }
     };
     
-    audio.onerror = (error) => {
-        // Prevent multiple error handlers from firing
-        if (audioErrored) return;
-        audioErrored = true;
-        
-        console.warn(`Failed to load audio file: ${audioPath}`, error);
-        // If audio fails to load, skip this phrase immediately
-        if (currentAudio === audio) {
-            currentAudio = null;
+    // Playback failed - the conductor skips this phrase immediately
+    const handlePlaybackFailed = (player) => {
+        if (slot.audio === player && conductor.slot === slot) {
+            phraseDisplayData.currentPhrase = null; // Clear the failed phrase from display
+            slot.failed();
         }
-        phraseDisplayData.currentPhrase = null; // Clear the failed phrase from display
-        isWaitingForNextMessage = false;
-        // Trigger next message immediately (no delay)
-        triggerNextMessage();
     };
     
-    // Set currentAudio before attempting to play
-    currentAudio = audio;
-    // Play the audio
-    audio.play().catch(error => {
+    const handleAudioError = (message, error) => {
         // Prevent multiple error handlers from firing
         if (audioErrored) return;
         audioErrored = true;
         
-        console.warn(`Failed to play audio: ${audioPath}`, error);
-        // If play fails, skip this phrase immediately
-        if (currentAudio === audio) {
-            currentAudio = null;
+        console.warn(`${message}: ${audioPath}`, error);
+        
+        // Local phrase without recording (404) - speak it via speech synthesis instead of skipping;
+        // other failures (decoding, network) are not fixed by speech, the phrase fails
+        if (!isVLM && error && error.status === 404 && slot.audio === audio && conductor.slot === slot && appConfig.ttsFallback && speechFallback.isSupported()) {
+            slot.audio = speakPhrase(phrase, context, slot);
+            return;
+        }
+        
+        handlePlaybackFailed(audio);
+    };
+    
+    // Play the audio (crossfades with the phrase stopped by the conductor); callbacks come asynchronously,
+    // after slot.audio has been set
+    const audio = audioEngine.play(audioPath, {
+        emotion: context.emotion,
+        onended: () => {
+            // Only handle ended if audio didn't error
+            if (!audioErrored) {
+                handlePlaybackEnded(audio);
+            }
+        },
+        onerror: (error) => {
+            handleAudioError('Failed to play audio', error);
         }
-        phraseDisplayData.currentPhrase = null; // Clear the failed phrase from display
-        isWaitingForNextMessage = false;
-        // Trigger next message immediately (no delay)
-        triggerNextMessage();
     });
+    slot.audio = audio;
+    return audio;
 }
 
-// Trigger next message in sequence
-function triggerNextMessage() {
-    if (isWaitingForNextMessage) {
-        // Already triggered, prevent duplicate
-        return;
-    }
-    
-    isWaitingForNextMessage = true;
-    
-    // If we're in POF mode, move to next POF phrase
-    if (isInPOFMode && pofPhrases.length > 0) {
-        currentPOFPhraseIndex++;
-        
-        if (currentPOFPhraseIndex < pofPhrases.length) {
-            // There are more POF phrases, play the next one
-            isWaitingForNextMessage = false;
-            playPhraseAudio(pofPhrases[currentPOFPhraseIndex], true);
-        } else {
-            // All POF phrases are done, switch back to local phrases
-            isInPOFMode = false;
-            pofPhrases = [];
-            currentPOFPhraseIndex = 0;
-            localPhraseCount = 0; // Reset counter to start new cycle
-            // Set flag to request next local phrase (will be handled by detectFaces)
-            isWaitingForNextMessage = false;
+// Speak a local phrase via speech synthesis in the conductor's playback slot, returns the speech handle
+function speakPhrase(phrase, context, slot) {
+    const speech = speechFallback.speak(phrase.text, {
+        emotion: context.emotion,
+        speedCategory: context.speedCategory,
+        useStress: appConfig.ttsStress,
+        onend: () => {
+            if (slot.audio === speech) {
+                slot.ended();
+            }
+        },
+        onerror: (event) => {
+            console.warn(`Speech fallback failed: ${phrase.text}`, event.error);
+            if (slot.audio === speech && conductor.slot === slot) {
+                phraseDisplayData.currentPhrase = null;
+                slot.failed();
+            }
         }
-    } else {
-        // We're in local phrase mode, set flag to request next local phrase
-        // (will be handled by detectFaces when it has face data)
-        isWaitingForNextMessage = false;
-    }
+    });
+    return speech;
+}
+
+// Load karaoke word timings for a local phrase (shown once loaded, if the phrase is still displayed)
+function loadWordTimings(text, audioFilename) {
+    alignmentLoader.load(audioFilename).then(alignmentWords => {
+        if (!alignmentWords || phraseDisplayData.currentPhrase !== text) {
+            return;
+        }
+        const textWords = text.replace(/\+/g, '').split(/\s+/).filter(word => word.length > 0);
+        const wordTimings = matchAlignmentToText(alignmentWords, textWords);
+        if (!wordTimings) {
+            console.warn(`Alignment doesn't match phrase text: ${audioFilename}`);
+            return;
+        }
+        phraseDisplayData.wordTimings = wordTimings;
+    });
 }
 
+// Playback progress of the current phrase (0..1), drives the phrase reveal animation
+function getPlaybackProgress() {
+    const currentAudio = conductor.audio;
+    if (!currentAudio) {
+        return 1; // Playback finished, the phrase stays fully shown
+    }
+    if (currentAudio.getProgress) {
+        return currentAudio.getProgress(); // Speech fallback
+    }
+    if (Number.isFinite(currentAudio.duration) && currentAudio.duration > 0) {
+        return currentAudio.currentTime / currentAudio.duration;
+    }
+    return 0; // Audio metadata not loaded yet
+}
 
 // Capture current video frame as JPG blob
 function captureFrameAsJPG() {
@@ -555,147 +711,80 @@ function captureFrameAsJPG() {
     });
 }
 
-// Fetch phrases from POF endpoint
-async function fetchPOFPhrases() {
-    if (pofRequestInProgress) {
-        return; // Don't start another request if one is in progress
+// Convert one item of the POF response to a phrase entry {text, audioSrc}
+// Supported item formats:
+//   "text"                                   - plain string, audio from appConfig.voiceUrl
+//   {text, audio: "url"}                     - absolute URL or URL relative to appConfig.pofUrl
+//   {text, audioId: "id"}                    - audio from appConfig.pofAudioUrl with {id} substituted
+//   {text, audioBase64: "...", mimeType}     - inline audio (mimeType defaults to audio/mpeg)
+// Returns null for an item without text or with a malformed audio URL (only that item is skipped)
+function normalizePOFPhrase(item) {
+    if (typeof item === 'string') {
+        const text = item.trim();
+        return text.length > 0 ? { text, audioSrc: appConfig.voiceUrl } : null;
+    }
+    if (!item || typeof item.text !== 'string' || item.text.trim().length === 0) {
+        return null;
     }
     
-    try {
-        pofRequestInProgress = true;
-        
-        // Capture current frame as JPG
-        const imageBlob = await captureFrameAsJPG();
-        
-        const response = await fetch('https://dh.ycloud.eazify.net:8443/pof', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'image/jpeg'
-            },
-            body: imageBlob
-        });
-        
-        if (!response.ok) {
-            throw new Error(`POF API error: ${response.statusText}`);
-        }
-        
-        // Get the JSON array of phrases
-        const phrasesArray = await response.json();
-        console.log(phrasesArray);
-        if (Array.isArray(phrasesArray) && phrasesArray.length > 0) {
-            // Store the phrases and switch to POF mode
-            pofPhrases = phrasesArray.map(phrase => phrase.trim()).filter(phrase => phrase.length > 0);
-            currentPOFPhraseIndex = 0;
-            isInPOFMode = true;
-            
-            // Display and play the first POF phrase
-            if (pofPhrases.length > 0) {
-                isWaitingForNextMessage = false;
-                playPhraseAudio(pofPhrases[0], true);
-            } else {
-                // Empty array, fall back to local phrases
-                isInPOFMode = false;
-                isWaitingForNextMessage = false;
-            }
-        } else {
-            throw new Error('POF API returned invalid or empty array');
+    const text = item.text.trim();
+    let audioSrc = appConfig.voiceUrl;
+    if (item.audio) {
+        try {
+            audioSrc = new URL(item.audio, new URL(appConfig.pofUrl, window.location.href)).href;
+        } catch (error) {
+            console.warn(`Skipping POF phrase with invalid audio URL: ${item.audio}`, error);
+            return null;
         }
-    } catch (error) {
-        console.error('Error fetching POF phrases:', error);
-        // On error, stay in local phrase mode and continue with local phrases
-        isInPOFMode = false;
-        pofPhrases = [];
-        currentPOFPhraseIndex = 0;
-        isWaitingForNextMessage = false;
-    } finally {
-        pofRequestInProgress = false;
+    } else if (item.audioId !== undefined && item.audioId !== null) {
+        audioSrc = appConfig.pofAudioUrl.replace('{id}', encodeURIComponent(item.audioId));
+    } else if (item.audioBase64) {
+        audioSrc = `data:${item.mimeType || 'audio/mpeg'};base64,${item.audioBase64}`;
     }
+    return { text, audioSrc };
 }
 
-// Detect faces and draw results
-async function detectFaces() {
-    if (!isRunning || video.readyState !== video.HAVE_ENOUGH_DATA) {
-        requestAnimationFrame(detectFaces);
-        return;
-    }
+// Fetch phrases from POF endpoint for the conductor (resolves to POF phrase entries, throws on errors)
+// signal (AbortSignal) cancels the request on timeout or when the visitor changes
+async function fetchPOFPhrases(signal) {
+    // Capture current frame as JPG
+    const imageBlob = await captureFrameAsJPG();
     
-    frameCount++;
-    const currentTime = frameCount;
-    
-    // Capture current frame to offscreen canvas
-    offscreenCtx.drawImage(video, 0, 0, offscreenCanvas.width, offscreenCanvas.height);
-    const currentFrameData = offscreenCtx.getImageData(0, 0, offscreenCanvas.width, offscreenCanvas.height);
+    const response = await fetch(appConfig.pofUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'image/jpeg'
+        },
+        body: imageBlob,
+        signal
+    });
     
-    // Add current frame to buffer
-    frameBuffer.push(currentFrameData);
-    if (frameBuffer.length > FRAME_BUFFER_SIZE) {
-        frameBuffer.shift(); // Remove oldest frame
+    if (!response.ok) {
+        throw new Error(`POF API error: ${response.statusText}`);
     }
     
-    // Calculate moving average (blur effect) and apply brightness reduction
-    // Always draw the video frame (with blur if we have enough frames)
-    if (frameBuffer.length > 0) {
-        const blendedFrame = new ImageData(offscreenCanvas.width, offscreenCanvas.height);
-        const pixelCount = blendedFrame.data.length / 4;
-        const bufferLength = frameBuffer.length;
-        
-        for (let i = 0; i < pixelCount; i++) {
-            let r = 0, g = 0, b = 0;
-            
-            // Average across all frames in buffer
-            frameBuffer.forEach(frame => {
-                const idx = i * 4;
-                r += frame.data[idx];
-                g += frame.data[idx + 1];
-                b += frame.data[idx + 2];
-            });
-            
-            // Calculate average
-            r = Math.round(r / bufferLength);
-            g = Math.round(g / bufferLength);
-            b = Math.round(b / bufferLength);
-            
-            // Apply brightness reduction (50% = multiply by 0.5)
-            r = Math.round(r * 0.5);
-            g = Math.round(g * 0.5);
-            b = Math.round(b * 0.5);
-            
-            const idx = i * 4;
-            blendedFrame.data[idx] = r;
-            blendedFrame.data[idx + 1] = g;
-            blendedFrame.data[idx + 2] = b;
-            blendedFrame.data[idx + 3] = 255; // Alpha
-        }
-        
-        // Draw blurred and darkened video to canvas
-        // ctx.putImageData(blendedFrame, 0, 0);
-        drawdata = blendedFrame;
-    } else {
-        // If no frames in buffer yet, draw current frame directly (darkened)
-        offscreenCtx.drawImage(video, 0, 0, offscreenCanvas.width, offscreenCanvas.height);
-        const frameData = offscreenCtx.getImageData(0, 0, offscreenCanvas.width, offscreenCanvas.height);
-        const pixelData = frameData.data;
-        
-        // Apply brightness reduction (50%)
-        for (let i = 0; i < pixelData.length; i += 4) {
-            pixelData[i] = Math.round(pixelData[i] * 0.5);     // R
-            pixelData[i + 1] = Math.round(pixelData[i + 1] * 0.5); // G
-            pixelData[i + 2] = Math.round(pixelData[i + 2] * 0.5); // B
-        }
-        
-        // ctx.putImageData(frameData, 0, 0);
-        drawdata = frameData;
+    // Get the JSON array of phrases
+    const phrasesArray = await response.json();
+    console.log(phrasesArray);
+    if (!Array.isArray(phrasesArray) || phrasesArray.length === 0) {
+        throw new Error('POF API returned invalid or empty array');
     }
+    const pofPhrases = phrasesArray.map(normalizePOFPhrase).filter(phrase => phrase !== null);
     
-    // Use face-api to detect faces with all required information
-    const detections = await faceapi
-        .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions())
-        .withFaceLandmarks()
-        .withFaceExpressions()
-        .withAgeAndGender();
+    // Load the audio of the POF phrases with their own audio while the first one starts
+    // (voiceUrl serves the next clip on every request, it is fetched when its phrase plays)
+    audioEngine.preload(pofPhrases.map(phrase => phrase.audioSrc).filter(url => url !== appConfig.voiceUrl));
+    return pofPhrases;
+}
+
+// Handle detection results (captureTime - performance.now() when the frame was captured)
+function handleDetections(detections, captureTime) {
+    if (!isRunning) {
+        return; // Result of a frame captured before the camera was stopped
+    }
     
     // Update movement tracking
-    updateMovementTracking(detections, currentTime);
+    updateMovementTracking(detections, captureTime);
     
     // Find the largest face (by width) for phrase display
     let largestFace = null;
@@ -708,74 +797,140 @@ async function detectFaces() {
         }
     });
     
+    // New visitor (previous main face gone long enough) - reset everything for a fresh experience
+    if (visitorDetector.update(largestFace ? largestFace.track : null, captureTime)) {
+        console.log('New visitor detected, resetting phrase cycle');
+        resetPhraseCycle();
+        phraseSelector.resetHistory();
+    }
+    
+    // Visitor gone (no confirmed main face) - the cycle script's farewell, if it has one
+    const mainConfirmed = largestFace && largestFace.track && largestFace.track.state === TRACK_STATES.CONFIRMED;
+    if (!mainConfirmed && visitorDetector.visitor) {
+        conductor.depart({
+            absentMs: visitorDetector.getAbsenceMs(captureTime),
+            dwellMs: visitorDetector.getDwellMs()
+        });
+    }
+    
     // Manage phrase display for the largest face (if any)
     if (largestFace) {
         const box = largestFace.detection.box;
-        const expressions = largestFace.expressions;
         const faceId = largestFace.faceId;
+        const expressions = getSmoothedExpressions(faceId, largestFace.expressions);
+        const movementData = faceMovementData.get(faceId);
+        const viewer = {
+            age: largestFace.age,
+            gender: largestFace.gender,
+            genderProbability: largestFace.genderProbability,
+            gestures: movementData ? movementData.gestures : [],
+            headPose: movementData ? movementData.headPose : null
+        };
         
-        // Check if this is a new person (different face ID)
-        if (lastFaceId !== null && lastFaceId !== faceId) {
-            // New person detected - reset everything
-            // resetPhraseCycle();
-        }
-        lastFaceId = faceId;
-        
-        // Compute dominant emotion excluding 'neutral' for phrase selection
-        const emotionsExNeutral = Object.keys(expressions).filter(k => k !== 'neutral');
-        let dominantEmotionX = 'neutral';
-        if (emotionsExNeutral.length > 0) {
-            dominantEmotionX = emotionsExNeutral.reduce((a, b) => 
-                expressions[a] > expressions[b] ? a : b
-            );
-        }
-        
-        // Get movement speed in pixels/frame for phrase selection
+        // Get movement speed for phrase selection (face widths per second, px/s with speedNormalization=false)
         const speedData = getAverageSpeed(faceId);
-        const speedPixelsPerFrame = speedData ? speedData.avgSpeed : null;
-        
-        // If no audio is playing and we're not waiting for next message, start a new message
-        if (!currentAudio && !isWaitingForNextMessage && phraseSelector.ready) {
-            // If we're in POF mode, don't do anything here (POF phrases are handled by audio.onended)
-            if (!isInPOFMode) {
-                // We're in local phrase mode
-                localPhraseCount++;
-                
-                // Check if we've shown 3 local phrases and should call POF
-                if (localPhraseCount > LOCAL_PHRASES_BEFORE_POF && !pofRequestInProgress) {
-                    // Reset counter and trigger POF fetch
-                    localPhraseCount = 0;
-                    isWaitingForNextMessage = true; // Prevent multiple triggers
-                    fetchPOFPhrases().catch(error => {
-                        console.error('POF fetch failed:', error);
-                        // On error, continue with local phrases
-                        isWaitingForNextMessage = false;
-                        selectAndPlayLocalPhrase(dominantEmotionX, speedPixelsPerFrame);
-                    });
-                } else {
-                    // Select and play local phrase
-                    selectAndPlayLocalPhrase(dominantEmotionX, speedPixelsPerFrame);
-                }
-            }
+        const selectionSpeed = getSelectionSpeed(speedData);
+        
+        // Run the next cycle script step if the conductor is idle
+        // (dwell time - how long the visitor has been here, across track losses; viewers - confirmed faces)
+        if (phraseSelector.ready) {
+            conductor.update({
+                expressions,
+                speed: selectionSpeed,
+                viewer,
+                emotion: getDominantEmotion(expressions),
+                dwellMs: visitorDetector.getDwellMs(),
+                viewerCount: detections.filter(detection => detection.track && detection.track.state === TRACK_STATES.CONFIRMED).length
+            });
         }
     } else {
         // No faces detected - don't start new messages, but let current audio finish playing
         // Don't reset state - continue from same point when face reappears
         // Just don't trigger new messages (handled by the if (largestFace) check above)
     }
+    
+    // Keep results for drawing
+    const now = performance.now();
+    resultInterval = lastResultAt !== null ? now - lastResultAt : 0;
+    lastResultAt = now;
+    currentDetections = detections;
+    mainFace = largestFace;
+}
+
+// Debug overlay: frame rates, detector, effects and phrase cycle state (top left, screen coordinates)
+function drawDebugOverlay() {
+    const confirmedTracks = faceTracker.tracks.filter(track => track.state === TRACK_STATES.CONFIRMED).length;
+    const currentAudio = conductor.audio;
+    const pofState = conductor.pofPhrases.length > 0
+        ? `, POF ${Math.min(conductor.pofIndex + 1, conductor.pofPhrases.length)}/${conductor.pofPhrases.length}`
+        : '';
+    const lines = [
+        `Mode: ${displayModes.name} (${DISPLAY_MODE_HOTKEY.toUpperCase()} - switch)`,
+        `Render: ${renderFps.toFixed(1)} fps, detection: ${resultInterval > 0 ? (1000 / resultInterval).toFixed(1) : '-'} fps ` +
+            `(${faceDetector.worker ? 'worker' : 'main thread'})`,
+        `Effects: ${parseEffectNames(appConfig.renderEffects).join(',') || 'none'}${effectChain && effectChain.skipCostly ? ' (costly skipped)' : ''}`,
+        `Tracks: ${faceTracker.tracks.length} (${confirmedTracks} confirmed), main: ${mainFace ? `#${mainFace.faceId}` : '-'}`,
+        `Cycle: ${conductor.state}, step ${conductor.describeStep()}${pofState} (${appConfig.cycleScript})`,
+        `Audio: ${currentAudio ? (currentAudio.getProgress ? 'speech' : 'playing') : 'idle'}` +
+            `${phraseDisplayData.wordTimings ? ', karaoke' : ''}`
+    ];
+    
+    const fontSize = 14;
+    const lineHeight = fontSize + 4;
+    const padding = 8;
+    phraseLayout.beginScreenDrawing(ctx, canvas.width);
+    ctx.font = `${fontSize}px monospace`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(padding, padding, width + padding * 2, lines.length * lineHeight + padding * 2);
+    ctx.fillStyle = '#0F0';
+    lines.forEach((line, index) => {
+        ctx.fillText(line, padding * 2, padding * 2 + index * lineHeight);
+    });
+    phraseLayout.endScreenDrawing(ctx);
+}
 
+// Render loop: draw the video and the latest detection results every frame
+function renderFrame() {
+    if (!isRunning) {
+        return;
+    }
+    if (video.readyState !== video.HAVE_ENOUGH_DATA) {
+        requestAnimationFrame(renderFrame);
+        return;
+    }
+    
+    const currentTime = performance.now();
+    
+    // Start detection on this frame if the detector is free (doesn't wait for the result)
+    faceDetector.detect(video, currentTime);
+    
+    // Boxes move from the previous to the latest detection over one detection period
+    const alpha = resultInterval > 0 ? (currentTime - lastResultAt) / resultInterval : 1;
+    
+    // Smoothed render frame rate
+    if (lastRenderAt !== null && currentTime > lastRenderAt) {
+        const fps = 1000 / (currentTime - lastRenderAt);
+        renderFps = renderFps > 0 ? 0.9 * renderFps + 0.1 * fps : fps;
+    }
+    lastRenderAt = currentTime;
+    
+    const displayMode = displayModes.settings;
+    
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.putImageData(drawdata, 0, 0);
+    effectChain.render(ctx, video, currentTime);
     // ctx.save();
 
     // Draw detections
-    detections.forEach(detection => {
-        const box = detection.detection.box;
-        const expressions = detection.expressions;
+    currentDetections.forEach(detection => {
+        const box = faceTracker.interpolateBox(detection.track, alpha);
         const age = Math.round(detection.age);
         const gender = detection.gender;
         const genderProbability = detection.genderProbability;
         const faceId = detection.faceId;
+        const expressions = getSmoothedExpressions(faceId, detection.expressions);
         
         // Get dominant emotion
         const emotions = expressions;
@@ -798,24 +953,25 @@ async function detectFaces() {
         // Get movement speed
         const speedData = getAverageSpeed(faceId);
         const speedText = speedData 
-            ? `Speed: ${speedData.speedPerSecond.toFixed(1)} px/s (${phraseSelector.getSpeedCategory(speedData.speedPerSecond)})`
+            ? `Speed: ${speedData.speedPerSecond.toFixed(1)} px/s, ${speedData.normalizedSpeed.toFixed(2)} faces/s (${phraseSelector.getSpeedCategory(getSelectionSpeed(speedData))})`
             : 'Speed: calculating...';
         
         // Draw rectangle around face
-        // Both video and canvas are mirrored via CSS transform: scaleX(-1)
+        // With mirroring on both video and canvas are mirrored via CSS transform: scaleX(-1)
         // Face detection gives coordinates in the video's natural (non-mirrored) coordinate system
         // Since both video and canvas are mirrored the same way, the coordinates align directly
         // We draw at the same natural coordinates that face detection provides
 
-        //ctx.strokeStyle = '#4CAF50';
-        ctx.strokeStyle = '#999999';
-        ctx.lineWidth = 3;
+        ctx.strokeStyle = displayMode.boxColor;
+        ctx.lineWidth = displayMode.boxLineWidth;
         ctx.strokeRect(box.x, box.y, box.width, box.height);
         
-        // ctx.restore();
+        if (!displayMode.labels) {
+            return;
+        }
         
         // Prepare text information
-        // Since canvas is mirrored via CSS, we need to flip text coordinates
+        // Text is drawn in screen coordinates, so it stays readable on a mirrored canvas
         const fontSize = Math.max(16, box.width / 25);
         ctx.font = `bold ${fontSize}px Arial`;
         
@@ -824,8 +980,19 @@ async function detectFaces() {
         const emotionText = `${dominantEmotion} (${emotionConfidence}%)`;
         const ageText = `Age: ${age}`;
         
+        // Head pose and gestures
+        const movementData = faceMovementData.get(faceId);
+        const headPose = movementData ? movementData.headPose : null;
+        const headText = headPose
+            ? `Head: yaw ${Math.round(headPose.yaw)}° pitch ${Math.round(headPose.pitch)}° roll ${Math.round(headPose.roll)}°` +
+              (movementData.gestures.length > 0 ? ` ${movementData.gestures.join(', ')}` : '')
+            : 'Head: -';
+        
         // Draw text background for better visibility
-        const textLines = [genderText, ageText, emotionText, speedText];
+        const textLines = [genderText, ageText, emotionText, speedText, headText];
+        if (displayMode.trackIds) {
+            textLines.unshift(`Track #${faceId} (${detection.track.state})`);
+        }
         const lineHeight = fontSize + 5;
         const padding = 5;
         
@@ -834,11 +1001,13 @@ async function detectFaces() {
             ...textLines.map(line => ctx.measureText(line).width)
         );
         
-        // Calculate text position (both video and canvas are mirrored the same way, so coordinates align)
-        const textX = box.x;
-        const textY = box.y - 10;
+        // Calculate text position above the face as seen on screen
+        const screenBox = phraseLayout.toScreenBox(box, canvas.width);
+        const textX = screenBox.x;
+        const textY = screenBox.y - 10;
+        phraseLayout.beginScreenDrawing(ctx, canvas.width);
         
-        if (false) {
+        if (displayMode.textBackground) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             ctx.fillRect(
                 textX - padding,
@@ -859,51 +1028,225 @@ async function detectFaces() {
                 ctx.fillStyle = '#fff';
             }
             
-            // Draw text at original position (coordinates align since both are mirrored the same way)
             ctx.fillText(
                 line,
                 textX,
                 textY - (textLines.length - 1 - index) * lineHeight
             );
         });
+        phraseLayout.endScreenDrawing(ctx);
     });
     
     // Draw phrase below the largest face (if any face is detected and phrase exists)
-    if (largestFace && phraseDisplayData.currentPhrase) {
-        const box = largestFace.detection.box;
-        const phraseFontSize = Math.max(14, box.width / 30);
-        ctx.textBaseline = 'top';
-        
-        // Draw phrase below the face box
-        const phraseY = box.y + box.height + 10;
-        const phraseX = box.x;
+    if (mainFace && phraseDisplayData.currentPhrase) {
+        const box = faceTracker.interpolateBox(mainFace.track, alpha);
+        const phraseFontSize = Math.max(14, box.width / 30) * 1.6;
+        const phraseText = phraseDisplayData.currentPhrase.replace(/\+/g, '');
+        const layout = phraseLayout.layout(
+            ctx,
+            phraseText,
+            box,
+            canvas.width,
+            canvas.height,
+            `italic bold ${phraseFontSize}px Arial, sans-serif`,
+            phraseFontSize
+        );
         
-        // Draw background for better visibility
-        if (false) {
-            const phraseWidth = ctx.measureText(phraseDisplayData.currentPhrase).width;
+        // Draw background for better visibility (layout is in screen coordinates)
+        if (displayMode.phraseBackground) {
+            phraseLayout.beginScreenDrawing(ctx, canvas.width);
             ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
             ctx.fillRect(
-                phraseX - 5,
-                phraseY - 2,
-                phraseWidth + 10,
-                phraseFontSize + 4
+                layout.x - 5,
+                layout.y - 2,
+                layout.width + 10,
+                layout.height + 4
             );
+            phraseLayout.endScreenDrawing(ctx);
         }        
         
-        // Draw phrase text - use red for VLM phrases, gold for local phrases
-        const phraseText = phraseDisplayData.currentPhrase.replace(/\+/g, '');
-        ctx.fillStyle = phraseDisplayData.isVLM ? '#FF0000' : '#0000FF'; // Red for VLM, gold for local
-        ctx.font = `italic bold ${phraseFontSize * 1.6}px Arial, sans-serif`; // Increase size by 60%
-        ctx.fillText(phraseText, phraseX, phraseY);
+        // Draw phrase text - use red for VLM phrases, blue for local phrases
+        // Karaoke highlighting follows the audio if there are word timings (not for the speech fallback)
+        const phraseColor = phraseDisplayData.isVLM ? displayMode.phraseColors.pof : displayMode.phraseColors.local;
+        const currentAudio = conductor.audio;
+        const useKaraoke = phraseDisplayData.wordTimings && !(currentAudio && currentAudio.getProgress);
+        const audioTime = currentAudio ? currentAudio.currentTime : Infinity;
+        if (!useKaraoke ||
+            !phraseLayout.drawKaraoke(ctx, layout, phraseColor, phraseDisplayData.wordTimings, audioTime, canvas.width)) {
+            phraseLayout.draw(ctx, layout, phraseColor, getPlaybackProgress(), canvas.width);
+        }
+    }
+    
+    if (displayMode.debugOverlay) {
+        drawDebugOverlay();
+    }
+    // Continue render loop
+    requestAnimationFrame(renderFrame);
+}
+
+// Speed category thresholds in the units used for phrase selection
+phraseSelector.speedThresholds = {
+    lo: appConfig.speedLoThreshold,
+    hi: appConfig.speedHiThreshold
+};
+
+// Mirror video and canvas (selfie view); text is drawn flipped back by phraseLayout
+function applyMirror(mirror) {
+    video.style.transform = mirror ? 'scaleX(-1)' : '';
+    canvas.style.transform = mirror ? 'scaleX(-1)' : '';
+    phraseLayout.mirror = mirror;
+}
+
+// Fill the camera picker on the start screen with the connected cameras
+async function updateCameraPicker() {
+    try {
+        cameraDevices = await cameraSettings.listDevices();
+    } catch (error) {
+        console.warn('Could not list cameras:', error);
+        cameraDevices = [];
+    }
+    
+    cameraSelect.innerHTML = '';
+    cameraSelect.add(new Option('Default camera', ''));
+    cameraDevices.forEach(device => cameraSelect.add(new Option(device.label, device.deviceId)));
+    // A remembered camera that isn't connected stays selected, it is used once plugged in again
+    if (cameraSettings.deviceId && !cameraDevices.some(device => device.deviceId === cameraSettings.deviceId)) {
+        cameraSelect.add(new Option('Remembered camera (not connected)', cameraSettings.deviceId));
+    }
+    cameraSelect.value = cameraSettings.deviceId;
+}
 
+// Camera plugged in or removed
+async function handleDeviceChange() {
+    const previousIds = cameraDevices.map(device => device.deviceId);
+    await updateCameraPicker();
+    
+    cameraDevices
+        .filter(device => !previousIds.includes(device.deviceId))
+        .forEach(device => console.log(`Camera connected: ${device.label}`));
+    previousIds
+        .filter(id => !cameraDevices.some(device => device.deviceId === id))
+        .forEach(id => console.log(`Camera disconnected: ${id}`));
+    
+    // The running camera was unplugged
+    if (isRunning && activeDeviceId && !cameraDevices.some(device => device.deviceId === activeDeviceId)) {
+        console.warn('Running camera disconnected');
+        if (supervisor) {
+            restartCamera('camera disconnected');
+        } else {
+            stopCamera();
+            statusEl.textContent = 'Camera disconnected';
+            statusEl.className = 'error';
+        }
     }
-    // Continue detection loop (target ~30 FPS)
-    requestAnimationFrame(detectFaces);
 }
 
+// Camera picker
+CAMERA_RESOLUTIONS.forEach(resolution => resolutionSelect.add(new Option(resolution.replace('x', ' × '), resolution)));
+resolutionSelect.value = cameraSettings.resolution;
+mirrorCheckbox.checked = cameraSettings.mirror;
+applyMirror(cameraSettings.mirror);
+updateCameraPicker();
+
+cameraSelect.addEventListener('change', () => {
+    cameraSettings.deviceId = cameraSelect.value;
+    cameraSettings.save();
+});
+resolutionSelect.addEventListener('change', () => {
+    cameraSettings.resolution = resolutionSelect.value;
+    cameraSettings.save();
+});
+mirrorCheckbox.addEventListener('change', () => {
+    cameraSettings.mirror = mirrorCheckbox.checked;
+    cameraSettings.save();
+    applyMirror(cameraSettings.mirror);
+});
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+}
+
+// Detection results arrive asynchronously from the detector
+faceDetector.onResult = handleDetections;
+
+// Detection stopped after the worker failed and the main thread could not load the models either
+faceDetector.onError = (error) => {
+    statusEl.textContent = 'Face detection stopped. Check console for details.';
+    statusEl.className = 'error';
+    if (supervisor) {
+        statusEl.textContent = 'Face detection stopped, reloading models...';
+        supervisor.fail('model loading', error, loadModels);
+    }
+};
+
+// Drop movement data of faces whose track was removed
+faceTracker.onTrackRemoved = (track) => {
+    faceMovementData.delete(track.id);
+};
+
+// Request fullscreen for kiosk mode; browsers only allow it after a user gesture,
+// so if it's refused, retry on the first click or key press
+function requestKioskFullscreen() {
+    if (document.fullscreenElement || !document.documentElement.requestFullscreen) {
+        return;
+    }
+    document.documentElement.requestFullscreen().catch(error => {
+        console.warn('Fullscreen refused, waiting for a user gesture:', error.message);
+        const retry = () => {
+            document.removeEventListener('pointerdown', retry);
+            document.removeEventListener('keydown', retry);
+            if (displayModes.settings.kiosk) {
+                requestKioskFullscreen();
+            }
+        };
+        document.addEventListener('pointerdown', retry);
+        document.addEventListener('keydown', retry);
+    });
+}
+
+// Apply display mode settings outside the canvas (close button, cursor, fullscreen)
+// (kiosk auto-start happens once the models are loaded, see loadModels())
+function applyDisplayMode(settings) {
+    closeBtn.style.display = settings.kiosk ? 'none' : '';
+    document.body.classList.toggle('kiosk', settings.kiosk);
+    if (settings.kiosk) {
+        requestKioskFullscreen();
+    }
+}
+
+displayModes.onChange = (name, settings) => applyDisplayMode(settings);
+applyDisplayMode(displayModes.settings);
+
 // Event listeners
 startBtn.addEventListener('click', startCamera);
 closeBtn.addEventListener('click', stopCamera);
+// Audio needs a user gesture to start (auto-started kiosk/unattended modes get it on the first click or key)
+document.addEventListener('pointerdown', () => audioEngine.resume());
+document.addEventListener('keydown', (event) => {
+    audioEngine.resume();
+    if (event.key.toLowerCase() === DISPLAY_MODE_HOTKEY && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        displayModes.next();
+    }
+});
+
+// Offline cache for the app, face-api, models, phrases and vocals (see service_worker.js);
+// registered with a fixed URL, the face-api and model URLs of this page's configuration are posted to it
+if (appConfig.offlineCache && 'serviceWorker' in navigator) {
+    navigator.serviceWorker.register('service_worker.js')
+        .then(registration => {
+            console.log('Offline cache service worker registered:', registration.scope);
+            return navigator.serviceWorker.ready;
+        })
+        .then(registration => registration.active.postMessage({
+            type: 'config',
+            config: {
+                faceApiUrl: appConfig.faceApiUrl,
+                localFaceApiUrl: appConfig.localFaceApiUrl,
+                modelUrl: appConfig.modelUrl,
+                localModelUrl: appConfig.localModelUrl
+            }
+        }))
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
 
 // Initialize on page load
 window.addEventListener('load', async () => {
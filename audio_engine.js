@@ -0,0 +1,381 @@
+// Audio engine module
+// Plays phrase audio through the Web Audio API instead of separate Audio elements:
+//   - audio files are fetched and decoded once, buffers are cached by URL; likely next phrases
+//     can be preloaded, the least recently used buffers are dropped above the cache size limit
+//   - phrases fade in and out (stopping one and starting the next gives a crossfade, no clicks)
+//   - optional looping ambient track that ducks under speech
+//   - master volume
+//   - per-emotion voice effects (filter and reverb), see EMOTION_AUDIO_EFFECTS
+// Graph: voice source -> fade gain -> filter -> dry/reverb send -> master -> output
+//        ambient source -> ambient gain -> master
+// Audio that can't be decoded (e.g. cross-origin POF audio without CORS) falls back to a plain
+// Audio element outside the graph.
+
+// Voice effects per face-api emotion: filter type/frequency and reverb send level (0..1)
+const EMOTION_AUDIO_EFFECTS = {
+    neutral: { filter: null, reverb: 0.1 },
+    happy: { filter: null, reverb: 0.15 },
+    sad: { filter: { type: 'lowpass', frequency: 2500 }, reverb: 0.5 },
+    angry: { filter: { type: 'peaking', frequency: 1500, gain: 6 }, reverb: 0.05 },
+    fearful: { filter: { type: 'highpass', frequency: 400 }, reverb: 0.6 },
+    disgusted: { filter: { type: 'lowpass', frequency: 1800 }, reverb: 0.2 },
+    surprised: { filter: { type: 'highpass', frequency: 200 }, reverb: 0.3 }
+};
+
+const REVERB_SECONDS = 2.5; // Length of the generated reverb impulse response
+
+// Playback of one phrase; same interface as the Audio element where the app uses it
+// (pause(), currentTime, duration)
+class VoicePlayback {
+    constructor(engine, fadeMs) {
+        this.engine = engine;
+        this.fadeMs = fadeMs;
+        this.source = null;
+        this.gain = null;
+        this.nodes = []; // Per-playback nodes to disconnect when done
+        this.buffer = null;
+        this.element = null; // Audio element fallback
+        this.startedAt = null; // AudioContext time when the source started
+        this.stopped = false;
+        this.onended = null;
+        this.onerror = null;
+    }
+
+    get currentTime() {
+        if (this.element) return this.element.currentTime;
+        if (this.startedAt === null) return 0;
+        return Math.min(this.engine.context.currentTime - this.startedAt, this.buffer.duration);
+    }
+
+    get duration() {
+        if (this.element) return this.element.duration;
+        return this.buffer ? this.buffer.duration : NaN;
+    }
+
+    // Fade out and stop (no events are fired after pause)
+    pause() {
+        if (this.stopped) return;
+        this.stopped = true;
+        this.engine.voiceEnded(this);
+        if (this.element) {
+            this.element.pause();
+            return;
+        }
+        if (this.source) {
+            const now = this.engine.context.currentTime;
+            const fade = this.fadeMs / 1000;
+            this.gain.gain.cancelScheduledValues(now);
+            this.gain.gain.setValueAtTime(this.gain.gain.value, now);
+            this.gain.gain.linearRampToValueAtTime(0, now + fade);
+            this.source.onended = () => this.disconnect();
+            this.source.stop(now + fade);
+        }
+    }
+
+    disconnect() {
+        this.nodes.forEach(node => node.disconnect());
+        this.nodes = [];
+    }
+
+    finish() {
+        if (this.stopped) return;
+        this.stopped = true;
+        this.engine.voiceEnded(this);
+        this.disconnect();
+        if (this.onended) this.onended();
+    }
+
+    fail(error) {
+        if (this.stopped) return;
+        this.stopped = true;
+        this.engine.voiceEnded(this);
+        this.disconnect();
+        if (this.onerror) this.onerror(error);
+    }
+}
+
+class AudioEngine {
+    constructor(options = {}) {
+        this.masterVolume = options.masterVolume !== undefined ? options.masterVolume : 1;
+        this.crossfadeMs = options.crossfadeMs !== undefined ? options.crossfadeMs : 300;
+        this.ambientUrl = options.ambientUrl || '';
+        this.ambientVolume = options.ambientVolume !== undefined ? options.ambientVolume : 0.3;
+        this.duckLevel = options.duckLevel !== undefined ? options.duckLevel : 0.3; // Ambient share while speaking
+        this.duckMs = options.duckMs !== undefined ? options.duckMs : 400;
+        this.emotionEffects = options.emotionEffects !== undefined ? options.emotionEffects : true;
+        this.cacheLimitBytes = options.cacheLimitBytes !== undefined ? options.cacheLimitBytes : 64 * 1024 * 1024; // Decoded audio
+        // URLs that serve different audio on every request (POF voiceUrl), fetched per phrase and never cached
+        this.uncachedUrls = new Set(options.uncachedUrls || []);
+
+        this.context = null; // Created on first use
+        this.master = null;
+        this.reverb = null;
+        this.ambientGain = null;
+        this.ambientSource = null;
+        this.buffers = new Map(); // URL -> {promise of AudioBuffer, bytes}, least recently used first
+        this.cachedBytes = 0; // Decoded size of the cached buffers
+        this.activeVoices = new Set();
+    }
+
+    static isSupported() {
+        return typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined';
+    }
+
+    // Create the audio graph (once)
+    init() {
+        if (this.context) return;
+        const Context = typeof AudioContext !== 'undefined' ? AudioContext : webkitAudioContext;
+        this.context = new Context();
+
+        this.master = this.context.createGain();
+        this.master.gain.value = this.masterVolume;
+        this.master.connect(this.context.destination);
+
+        this.reverb = this.context.createConvolver();
+        this.reverb.buffer = this.createImpulseResponse(REVERB_SECONDS);
+        this.reverb.connect(this.master);
+
+        this.ambientGain = this.context.createGain();
+        this.ambientGain.gain.value = this.ambientVolume;
+        this.ambientGain.connect(this.master);
+    }
+
+    // Exponentially decaying stereo noise, a simple room reverb
+    createImpulseResponse(seconds) {
+        const length = Math.floor(this.context.sampleRate * seconds);
+        const impulse = this.context.createBuffer(2, length, this.context.sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+            }
+        }
+        return impulse;
+    }
+
+    // Browsers start the context suspended until a user gesture; call from click/key handlers
+    resume() {
+        this.init();
+        if (this.context.state === 'suspended') {
+            return this.context.resume().catch(error => console.warn('Audio context not resumed:', error));
+        }
+        return Promise.resolve();
+    }
+
+    setMasterVolume(volume) {
+        this.masterVolume = volume;
+        if (this.master) {
+            this.master.gain.setTargetAtTime(volume, this.context.currentTime, 0.05);
+        }
+    }
+
+    // Fetch and decode an audio file (resolves to AudioBuffer)
+    fetchBuffer(url, fetchOptions = {}) {
+        return fetch(url, fetchOptions)
+            .then(response => {
+                if (!response.ok) {
+                    const error = new Error(`HTTP ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return response.arrayBuffer();
+            })
+            .then(data => this.context.decodeAudioData(data));
+    }
+
+    // Fetch and decode an audio file, cached by URL (resolves to AudioBuffer)
+    // Uncached URLs are fetched again on every call, bypassing the HTTP cache too
+    loadBuffer(url) {
+        this.init();
+        if (this.uncachedUrls.has(url)) {
+            return this.fetchBuffer(url, { cache: 'no-store' });
+        }
+        const cached = this.buffers.get(url);
+        if (cached) {
+            // Move to the most recently used end
+            this.buffers.delete(url);
+            this.buffers.set(url, cached);
+            return cached.promise;
+        }
+
+        const entry = { promise: null, bytes: 0 };
+        entry.promise = this.fetchBuffer(url)
+            .then(buffer => {
+                if (this.buffers.get(url) === entry) {
+                    entry.bytes = buffer.length * buffer.numberOfChannels * 4; // 32-bit float samples
+                    this.cachedBytes += entry.bytes;
+                    this.evict(url);
+                }
+                return buffer;
+            });
+        // Failed loads are not cached, the file may appear later
+        entry.promise.catch(() => this.invalidate(url, entry));
+        this.buffers.set(url, entry);
+        return entry.promise;
+    }
+
+    // Drop a cached buffer (e.g. the URL now serves different audio); entry - only if it is still this one
+    invalidate(url, entry = this.buffers.get(url)) {
+        if (entry && this.buffers.get(url) === entry) {
+            this.cachedBytes -= entry.bytes;
+            this.buffers.delete(url);
+        }
+    }
+
+    // Drop least recently used buffers until the cache fits its limit (keepUrl and the ambient track stay)
+    // Playing phrases are not affected, their sources hold the buffers
+    evict(keepUrl) {
+        for (const [url, entry] of this.buffers) {
+            if (this.cachedBytes <= this.cacheLimitBytes) {
+                break;
+            }
+            if (url !== keepUrl && url !== this.ambientUrl && entry.bytes > 0) {
+                this.invalidate(url, entry);
+            }
+        }
+    }
+
+    // Load and decode files in the background so they play without delay (cached ones count as used)
+    // Failures are ignored here, play() reports them when the file is actually needed
+    // Uncached URLs are skipped, their audio is only fetched for the phrase that plays it
+    preload(urls) {
+        urls.filter(url => !this.uncachedUrls.has(url)).forEach(url => this.loadBuffer(url).catch(() => {}));
+    }
+
+    // Play a phrase, returns a VoicePlayback immediately; onended/onerror are called later
+    play(url, { emotion = 'neutral', onended, onerror } = {}) {
+        this.init();
+        const playback = new VoicePlayback(this, this.crossfadeMs);
+        playback.onended = onended;
+        playback.onerror = onerror;
+        this.activeVoices.add(playback);
+        this.updateDucking();
+
+        this.loadBuffer(url)
+            .then(buffer => {
+                if (!playback.stopped) {
+                    this.startBuffer(playback, buffer, emotion);
+                }
+            })
+            .catch(error => {
+                if (playback.stopped) return;
+                if (error.status) {
+                    playback.fail(error); // Missing file
+                } else {
+                    // Network/CORS or decoding problem - let an Audio element try
+                    this.playElement(playback, url);
+                }
+            });
+        return playback;
+    }
+
+    startBuffer(playback, buffer, emotion) {
+        // A suspended context doesn't advance (the phrase would never end): start once it runs,
+        // after a user gesture or right away if the browser's autoplay policy allows resuming
+        if (this.context.state === 'suspended') {
+            const startWhenRunning = () => {
+                if (this.context.state !== 'running') return;
+                this.context.removeEventListener('statechange', startWhenRunning);
+                if (!playback.stopped) {
+                    this.startBuffer(playback, buffer, emotion);
+                }
+            };
+            this.context.addEventListener('statechange', startWhenRunning);
+            this.resume();
+            return;
+        }
+        const now = this.context.currentTime;
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+
+        // Fade in (the previous phrase fades out at the same time)
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + this.crossfadeMs / 1000);
+        source.connect(gain);
+        playback.nodes.push(source, gain);
+
+        // Emotion effects: filter, then dry signal plus reverb send
+        const effects = this.emotionEffects
+            ? (EMOTION_AUDIO_EFFECTS[emotion] || EMOTION_AUDIO_EFFECTS.neutral)
+            : { filter: null, reverb: 0 };
+        let output = gain;
+        if (effects.filter) {
+            const filter = this.context.createBiquadFilter();
+            filter.type = effects.filter.type;
+            filter.frequency.value = effects.filter.frequency;
+            if (effects.filter.gain !== undefined) {
+                filter.gain.value = effects.filter.gain;
+            }
+            output.connect(filter);
+            playback.nodes.push(filter);
+            output = filter;
+        }
+        output.connect(this.master);
+        if (effects.reverb > 0) {
+            const send = this.context.createGain();
+            send.gain.value = effects.reverb;
+            output.connect(send);
+            send.connect(this.reverb);
+            playback.nodes.push(send);
+        }
+
+        source.onended = () => playback.finish();
+        playback.source = source;
+        playback.gain = gain;
+        playback.buffer = buffer;
+        playback.startedAt = now;
+        source.start(now);
+    }
+
+    playElement(playback, url) {
+        const element = new Audio(url);
+        element.volume = Math.min(1, this.masterVolume);
+        element.onended = () => playback.finish();
+        element.onerror = (error) => playback.fail(error);
+        playback.element = element;
+        element.play().catch(error => playback.fail(error));
+    }
+
+    // Called by VoicePlayback when it stops for any reason
+    voiceEnded(playback) {
+        this.activeVoices.delete(playback);
+        this.updateDucking();
+    }
+
+    // Lower the ambient track while any phrase plays
+    updateDucking() {
+        if (!this.ambientGain) return;
+        const target = this.ambientVolume * (this.activeVoices.size > 0 ? this.duckLevel : 1);
+        this.ambientGain.gain.setTargetAtTime(target, this.context.currentTime, this.duckMs / 3000);
+    }
+
+    // Start the looping ambient track (if configured)
+    startAmbient() {
+        if (!this.ambientUrl || this.ambientSource) return;
+        this.init();
+        this.ambientSource = 'loading'; // Prevent double start while loading
+        this.loadBuffer(this.ambientUrl)
+            .then(buffer => {
+                if (this.ambientSource !== 'loading') return; // Stopped meanwhile
+                const source = this.context.createBufferSource();
+                source.buffer = buffer;
+                source.loop = true;
+                source.connect(this.ambientGain);
+                source.start();
+                this.ambientSource = source;
+            })
+            .catch(error => {
+                console.warn(`Failed to load ambient track: ${this.ambientUrl}`, error);
+                this.ambientSource = null;
+            });
+    }
+
+    stopAmbient() {
+        if (this.ambientSource && this.ambientSource !== 'loading') {
+            this.ambientSource.stop();
+            this.ambientSource.disconnect();
+        }
+        this.ambientSource = null;
+    }
+}
@@ -0,0 +1,76 @@
+// Camera settings module
+// Camera device, resolution and mirroring chosen on the start screen, remembered in localStorage.
+// A mirror setting given explicitly in the config (APP_CONFIG or ?mirror=) wins over the remembered one.
+// Builds getUserMedia constraints and lists the available cameras (device labels are only
+// available after camera permission has been granted once).
+
+const CAMERA_SETTINGS_KEY = 'cameraSettings';
+const CAMERA_RESOLUTIONS = ['640x480', '1280x720', '1920x1080'];
+
+class CameraSettings {
+    constructor(defaults = {}) {
+        this.deviceId = ''; // '' - browser default camera
+        this.resolution = defaults.resolution || '1280x720';
+        this.mirror = !!defaults.mirror;
+        this.mirrorFromConfig = !!defaults.mirrorFromConfig; // Stored mirror is ignored and kept as is
+        this.storedMirror = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CAMERA_SETTINGS_KEY) || 'null');
+            if (!stored) return;
+            if (typeof stored.deviceId === 'string') this.deviceId = stored.deviceId;
+            if (CAMERA_RESOLUTIONS.includes(stored.resolution)) this.resolution = stored.resolution;
+            if (typeof stored.mirror === 'boolean') {
+                this.storedMirror = stored.mirror;
+                if (!this.mirrorFromConfig) this.mirror = stored.mirror;
+            }
+        } catch (error) {
+            console.warn('Invalid stored camera settings, using defaults:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(CAMERA_SETTINGS_KEY, JSON.stringify({
+                deviceId: this.deviceId,
+                resolution: this.resolution,
+                mirror: this.mirrorFromConfig ? this.storedMirror : this.mirror
+            }));
+        } catch (error) {
+            console.warn('Could not save camera settings:', error);
+        }
+    }
+
+    // Video input devices [{deviceId, label}]
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+    }
+
+    // getUserMedia constraints; the chosen camera is required only if it is connected,
+    // otherwise the browser default camera is used
+    async getConstraints() {
+        const [width, height] = this.resolution.split('x').map(Number);
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height }
+        };
+        if (this.deviceId) {
+            const devices = await this.listDevices();
+            if (devices.some(device => device.deviceId === this.deviceId)) {
+                video.deviceId = { exact: this.deviceId };
+            } else {
+                console.warn('Chosen camera not connected, using the default camera');
+            }
+        }
+        return { video };
+    }
+}
@@ -0,0 +1,409 @@
+// Phrase cycle conductor module
+// State machine for phrase playback, driven by a cycle script (cycle_scripts.yaml): a list of steps
+// such as a greeting, N local phrases, POF phrases, silence, repeated. Steps can be limited to once
+// per visitor and to conditions on the viewer (emotion, dwell time, number of viewers). The script's
+// farewell is said once per visitor when the visitor has been gone for farewell.afterMs (depart()).
+//
+//   idle         - nothing playing, the next update() with a viewer runs the next step
+//   local        - a local or fixed ("say") phrase is playing
+//   awaiting-pof - POF request in flight
+//   pof          - a POF phrase is playing
+//   cooldown     - pause after a phrase (script pauseMs) or a silence step, then the next POF phrase or idle
+//
+// POF requests can be prefetched: the request starts in the background with the step before a POF
+// step, and its result is buffered until the POF step comes. Requests time out (aborted through an
+// AbortController), results whose photo is older than pofMaxAgeMs are discarded and a new visitor
+// (reset) aborts them. Nothing is prefetched for a POF step that would be skipped.
+//
+// Phrase selection, POF requests, playback and timers are injected, the conductor has no DOM or
+// audio dependencies and can be driven headless with a fake clock and fake playback.
+// Playback handles only need pause(); the player reports the end through the playback slot passed
+// to it (slot.ended() / slot.failed()) and may replace slot.audio (e.g. with a speech fallback).
+
+const CONDUCTOR_STATES = {
+    IDLE: 'idle',
+    LOCAL: 'local',
+    AWAITING_POF: 'awaiting-pof',
+    POF: 'pof',
+    COOLDOWN: 'cooldown'
+};
+
+// Used when no cycle script is loaded: 3 local phrases, then POF
+const DEFAULT_CYCLE_SCRIPT = {
+    pauseMs: 500,
+    steps: [{ local: 3 }, { pof: true }]
+};
+
+// Farewell is said after this much time without the visitor unless the script sets afterMs
+const DEFAULT_FAREWELL_AFTER_MS = 1500;
+
+// Step type name (the step's only type field)
+function getStepType(step) {
+    return ['local', 'pof', 'say', 'silence'].find(type => step[type] !== undefined);
+}
+
+// Phrase entry of a fixed "say" phrase (string or {text, audio, tts}); tts - no recording, speech synthesis
+function getSayPhrase(say) {
+    return typeof say === 'string'
+        ? { text: say, audio: null, tts: false }
+        : { text: say.text, audio: say.audio || null, tts: !!say.tts };
+}
+
+// Check step conditions against the update() input {emotion, dwellMs, viewerCount}
+function matchCycleConditions(when, input) {
+    if (!when) {
+        return true;
+    }
+    if (when.emotion !== undefined && ![].concat(when.emotion).includes(input.emotion)) {
+        return false;
+    }
+    const dwellMs = input.dwellMs || 0;
+    const viewerCount = input.viewerCount || 0;
+    return !(when.minDwellMs !== undefined && dwellMs < when.minDwellMs) &&
+        !(when.maxDwellMs !== undefined && dwellMs > when.maxDwellMs) &&
+        !(when.minViewers !== undefined && viewerCount < when.minViewers) &&
+        !(when.maxViewers !== undefined && viewerCount > when.maxViewers);
+}
+
+class PhraseConductor {
+    constructor(options = {}) {
+        this.selectLocalPhrase = options.selectLocalPhrase; // (input) -> {phrase, context} or null
+        this.fetchPOFPhrases = options.fetchPOFPhrases; // (abortSignal) -> Promise of POF phrase entries
+        this.playPhrase = options.playPhrase; // (phrase, isVLM, context, slot) -> playback handle or null
+        this.script = options.script || DEFAULT_CYCLE_SCRIPT; // {pauseMs, steps, farewell}
+        this.pauseMs = this.script.pauseMs !== undefined ? this.script.pauseMs : 500; // After every phrase
+        this.prefetchPOF = options.prefetchPOF !== undefined ? options.prefetchPOF : true;
+        this.pofTimeoutMs = options.pofTimeoutMs !== undefined ? options.pofTimeoutMs : 15000; // Request is aborted after
+        this.pofMaxAgeMs = options.pofMaxAgeMs !== undefined ? options.pofMaxAgeMs : 30000; // Buffered result discarded after
+        this.clock = options.clock || {
+            setTimeout: (fn, ms) => setTimeout(fn, ms),
+            clearTimeout: id => clearTimeout(id),
+            now: () => Date.now()
+        };
+        this.onStateChange = options.onStateChange || null; // Callback(state, previousState)
+
+        this.state = CONDUCTOR_STATES.IDLE;
+        this.stepIndex = 0; // Current script step
+        this.stepPhrases = 0; // Local phrases played in the current step
+        this.onceDone = new Set(); // Indexes of "once" steps done for the current visitor
+        this.farewellDone = false; // Farewell said (or skipped by its conditions) for the current visitor
+        this.pofPhrases = []; // Phrases of the last POF response
+        this.pofIndex = 0; // Current POF phrase
+        this.slot = null; // Current playback {phrase, isVLM, audio, ended(), failed()}
+        this.timer = null; // Cooldown timer
+        this.requestId = 0; // Identifies the POF step whose response is still wanted
+        this.pofRequest = null; // Prefetched or awaited POF request (see startPOFRequest)
+    }
+
+    // Playback handle of the current phrase (null if none)
+    get audio() {
+        return this.slot ? this.slot.audio : null;
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        if (this.onStateChange) {
+            this.onStateChange(state, previous);
+        }
+    }
+
+    // Called with every detection result that has a viewer; runs the next script step when idle
+    // input is passed to selectLocalPhrase and checked against step conditions
+    // ({emotion, dwellMs, viewerCount} plus whatever the phrase selection needs)
+    update(input) {
+        if (this.state !== CONDUCTOR_STATES.IDLE) {
+            return;
+        }
+        // Skip steps that are done or whose conditions don't hold, at most one round
+        const steps = this.script.steps;
+        for (let checked = 0; checked < steps.length; checked++) {
+            const step = steps[this.stepIndex];
+            if (!this.onceDone.has(this.stepIndex) && matchCycleConditions(step.when, input)) {
+                this.runStep(step, input);
+                return;
+            }
+            this.nextStep();
+        }
+    }
+
+    // Called with every detection result while the visitor is away (no confirmed main face)
+    // input: {absentMs, dwellMs} - time since the visitor was last seen, length of the visit
+    // Says the script's farewell {say, afterMs, when} once per visitor: a playing phrase is finished
+    // first, a pause or a pending POF request is dropped
+    depart(input) {
+        const farewell = this.script.farewell;
+        if (!farewell || this.farewellDone) {
+            return;
+        }
+        const afterMs = farewell.afterMs !== undefined ? farewell.afterMs : DEFAULT_FAREWELL_AFTER_MS;
+        if (input.absentMs < afterMs || this.state === CONDUCTOR_STATES.LOCAL || this.state === CONDUCTOR_STATES.POF) {
+            return;
+        }
+        this.farewellDone = true;
+        if (!matchCycleConditions(farewell.when, input)) {
+            return;
+        }
+        if (this.timer !== null) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.requestId++; // A pending POF step is abandoned
+        this.cancelPOFRequest();
+        this.pofPhrases = [];
+        this.pofIndex = 0;
+        this.setState(CONDUCTOR_STATES.LOCAL);
+        this.start(getSayPhrase(farewell.say), false, {});
+    }
+
+    runStep(step, input) {
+        const type = getStepType(step);
+        if (this.pofRequest && this.isStale(this.pofRequest)) {
+            this.pofRequest = null; // Unused prefetch (e.g. its POF step was skipped), a new one can start
+        }
+        if (this.prefetchPOF && !this.pofRequest && type !== 'pof') {
+            const nextStep = this.findNextStep(input);
+            if (nextStep && getStepType(nextStep) === 'pof') {
+                this.startPOFRequest(); // Answer ready when the POF step comes
+            }
+        }
+        if (type === 'local') {
+            const selection = this.selectLocalPhrase(input);
+            if (!selection) {
+                return; // Nothing for this viewer, try again with the next update
+            }
+            this.stepPhrases++;
+            if (this.stepPhrases >= step.local) {
+                this.finishStep(step);
+            }
+            this.setState(CONDUCTOR_STATES.LOCAL);
+            this.start(selection.phrase, false, selection.context || {});
+            return;
+        }
+
+        this.finishStep(step);
+        if (type === 'pof') {
+            this.requestPOF();
+        } else if (type === 'say') {
+            this.setState(CONDUCTOR_STATES.LOCAL);
+            this.start(getSayPhrase(step.say), false, { emotion: input.emotion });
+        } else if (type === 'silence') {
+            this.wait(step.silence, () => this.setState(CONDUCTOR_STATES.IDLE));
+        }
+    }
+
+    // The step that would run after the current one for this input (skipping done "once" steps and
+    // steps whose conditions don't hold), null if none
+    findNextStep(input) {
+        const steps = this.script.steps;
+        for (let offset = 1; offset <= steps.length; offset++) {
+            const index = (this.stepIndex + offset) % steps.length;
+            if (!this.onceDone.has(index) && matchCycleConditions(steps[index].when, input)) {
+                return steps[index];
+            }
+        }
+        return null;
+    }
+
+    // Step done, the next update() runs the following one
+    finishStep(step) {
+        if (step.once) {
+            this.onceDone.add(this.stepIndex);
+        }
+        this.nextStep();
+    }
+
+    nextStep() {
+        this.stepIndex = (this.stepIndex + 1) % this.script.steps.length;
+        this.stepPhrases = 0;
+    }
+
+    // Cooldown for ms, then call done
+    wait(ms, done) {
+        this.setState(CONDUCTOR_STATES.COOLDOWN);
+        this.timer = this.clock.setTimeout(() => {
+            this.timer = null;
+            done();
+        }, ms);
+    }
+
+    // Current step for the debug overlay, e.g. "2/4 local 1/3, POF pending"
+    describeStep() {
+        const steps = this.script.steps;
+        const step = steps[this.stepIndex];
+        const type = getStepType(step);
+        const progress = type === 'local' ? ` ${this.stepPhrases}/${step.local}` : '';
+        let prefetch = '';
+        if (this.pofRequest) {
+            prefetch = this.pofRequest.done ? ', POF ready' : ', POF pending';
+        }
+        return `${this.stepIndex + 1}/${steps.length} ${type}${progress}${prefetch}`;
+    }
+
+    // Start a POF request in the background
+    // The request {controller, promise, phrases, startedAt, done} is kept in this.pofRequest;
+    // its promise resolves to the phrases or rejects on errors, timeout and abort
+    startPOFRequest() {
+        const request = {
+            controller: new AbortController(),
+            promise: null,
+            phrases: null,
+            startedAt: this.clock.now(), // The photo is taken now, the answer describes this moment
+            done: false
+        };
+        const timer = this.clock.setTimeout(() => {
+            request.controller.abort(new Error(`POF request timed out after ${this.pofTimeoutMs} ms`));
+        }, this.pofTimeoutMs);
+        request.promise = Promise.resolve()
+            .then(() => this.fetchPOFPhrases(request.controller.signal))
+            .then(phrases => {
+                if (request.controller.signal.aborted) {
+                    throw request.controller.signal.reason || new Error('POF request aborted');
+                }
+                if (!Array.isArray(phrases) || phrases.length === 0) {
+                    throw new Error('POF returned no phrases');
+                }
+                request.phrases = phrases;
+                return phrases;
+            })
+            .finally(() => {
+                this.clock.clearTimeout(timer);
+                request.done = true;
+            });
+        request.promise.catch(() => {}); // Reported when the POF step uses the request
+        this.pofRequest = request;
+        return request;
+    }
+
+    // Buffered result that can't be used any more (failed, or its photo is older than pofMaxAgeMs)
+    isStale(request) {
+        return request.done && (!request.phrases || this.clock.now() - request.startedAt > this.pofMaxAgeMs);
+    }
+
+    cancelPOFRequest() {
+        if (this.pofRequest) {
+            this.pofRequest.controller.abort();
+            this.pofRequest = null;
+        }
+    }
+
+    // POF step: use the prefetched request if it is still good, otherwise start one and wait
+    requestPOF() {
+        if (this.pofRequest && this.isStale(this.pofRequest)) {
+            console.log(this.pofRequest.phrases ? 'Discarding outdated POF phrases' : 'Prefetched POF request failed, retrying');
+            this.pofRequest = null;
+        }
+        const request = this.pofRequest || this.startPOFRequest();
+        const requestId = ++this.requestId;
+        this.setState(CONDUCTOR_STATES.AWAITING_POF);
+        request.promise
+            .then(phrases => {
+                if (requestId !== this.requestId) return; // Reset meanwhile
+                this.pofRequest = null;
+                this.pofPhrases = phrases;
+                this.pofIndex = 0;
+                this.playPOF();
+            })
+            .catch(error => {
+                if (requestId !== this.requestId) return;
+                this.pofRequest = null;
+                console.error('Error fetching POF phrases:', error);
+                this.setState(CONDUCTOR_STATES.IDLE); // Continue with the next step
+            });
+    }
+
+    playPOF() {
+        if (this.pofIndex >= this.pofPhrases.length) {
+            // All POF phrases done, continue with the next step
+            this.pofPhrases = [];
+            this.pofIndex = 0;
+            this.setState(CONDUCTOR_STATES.IDLE);
+            return;
+        }
+        this.setState(CONDUCTOR_STATES.POF);
+        this.start(this.pofPhrases[this.pofIndex], true, {});
+    }
+
+    // Start playback of a phrase in a new slot (the previous phrase is stopped)
+    start(phrase, isVLM, context) {
+        this.stopAudio();
+        const slot = {
+            phrase,
+            isVLM,
+            audio: null,
+            ended: () => this.handleEnded(slot),
+            failed: () => this.handleFailed(slot)
+        };
+        this.slot = slot;
+        const audio = this.playPhrase(phrase, isVLM, context, slot);
+        if (this.slot !== slot) {
+            return; // Failed synchronously, already handled
+        }
+        if (!audio) {
+            this.handleFailed(slot);
+            return;
+        }
+        if (!slot.audio) {
+            slot.audio = audio;
+        }
+    }
+
+    // Phrase played to the end - pause, then the next phrase
+    handleEnded(slot) {
+        if (this.slot !== slot) return; // Stopped or replaced meanwhile
+        this.slot = null;
+        const wasPOF = this.state === CONDUCTOR_STATES.POF;
+        if (wasPOF) {
+            this.pofIndex++;
+        }
+        this.wait(this.pauseMs, () => {
+            if (wasPOF) {
+                this.playPOF();
+            } else {
+                this.setState(CONDUCTOR_STATES.IDLE);
+            }
+        });
+    }
+
+    // Phrase couldn't be played - skip it without pause
+    handleFailed(slot) {
+        if (this.slot !== slot) return;
+        this.slot = null;
+        if (this.state === CONDUCTOR_STATES.POF) {
+            this.pofIndex++;
+            this.playPOF();
+        } else {
+            this.setState(CONDUCTOR_STATES.IDLE);
+        }
+    }
+
+    stopAudio() {
+        if (this.slot) {
+            const audio = this.slot.audio;
+            this.slot = null;
+            if (audio) {
+                audio.pause();
+            }
+        }
+    }
+
+    // Stop everything and start the script over (new visitor, camera stopped)
+    // A pending or buffered POF request is aborted, it belongs to the previous visitor
+    reset() {
+        this.stopAudio();
+        this.cancelPOFRequest();
+        if (this.timer !== null) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.requestId++;
+        this.stepIndex = 0;
+        this.stepPhrases = 0;
+        this.onceDone.clear();
+        this.farewellDone = false;
+        this.pofPhrases = [];
+        this.pofIndex = 0;
+        this.setState(CONDUCTOR_STATES.IDLE);
+    }
+}
@@ -0,0 +1,101 @@
+// Runtime configuration module
+// Defaults below can be overridden by an APP_CONFIG object (defined in a script loaded
+// before config.js) and then by URL query parameters, e.g.
+//   index.html?pofUrl=http://localhost:8090/pof&voiceUrl=http://localhost:8090/voice.mp3
+
+const DEFAULT_CONFIG = {
+    pofUrl: 'https://dh.ycloud.eazify.net:8443/pof', // POF endpoint, receives current frame as JPEG via POST
+    voiceUrl: 'https://dh.ycloud.eazify.net:8443/voice.mp3', // Audio for POF phrases without own audio reference
+    pofAudioUrl: 'https://dh.ycloud.eazify.net:8443/audio/{id}.mp3', // Audio for POF phrases referenced by audioId
+    ttsFallback: true, // Speak local phrases via Web Speech API when their mp3 is missing in vocals/
+    ttsLang: 'ru-RU', // Language of the fallback voice
+    ttsStress: true, // Pass "+" stress markers to the speech engine as accents (false = drop them)
+    selectionMode: 'dominant', // Phrase emotion: 'dominant' (argmax without neutral) or 'weighted' (drawn by scores)
+    neutralThreshold: 0.7, // Weighted mode: neutral score from which only emotion-independent phrases are used
+    emotionSmoothing: 'ema', // Per-face emotion smoothing: 'ema', 'window' (average), 'vote' or 'none'
+    emotionHistorySize: 15, // Number of frames in the emotion history window ('window' and 'vote')
+    emotionEmaAlpha: 0.2, // Weight of the current frame in the exponential moving average ('ema')
+    trackerDescriptors: false, // Use face descriptors to re-identify faces after occlusions (costly)
+    trackerConfirmHits: 3, // Consecutive detections before a new track is confirmed
+    trackerMaxLostMs: 2000, // How long a lost track keeps its ID for a reappearing face
+    newVisitorAbsenceMs: 5000, // Previous main face must be gone this long before a new visitor resets the cycle
+    newVisitorDescriptorDistance: 0.6, // Returning face closer than this to the previous visitor is the same person
+    speedNormalization: true, // Measure speed in face widths per second (true) or pixels per second (false)
+    speedLoThreshold: 0.5, // Speed below this is 'lo' (face widths/s or px/s, see speedNormalization)
+    speedHiThreshold: 2.0, // Speed above this is 'hi', in between 'med'
+    gestureWindowMs: 2000, // Head pose history used to detect nod/shake gestures
+    renderEffects: 'temporalBlur,darken', // Comma-separated video effect chain, or an array in APP_CONFIG (see render_effects.js)
+    frameBudgetMs: 50, // Costly video effects are skipped while the frame time is above this
+    detectionWorker: true, // Run face detection in a Web Worker (falls back to the main thread if unsupported)
+    detectionIntervalMs: 100, // Minimum time between face detections, independent of the render rate
+    mirror: false, // Mirror video and canvas (selfie view); if not set explicitly, the start screen choice is remembered
+    phraseAnimation: 'words', // Phrase reveal synchronized with playback: none, fade, typewriter, words
+    phraseMaxWidth: 0.8, // Maximum phrase line width as share of the viewport width
+    displayMode: 'installation', // Overlay mode: installation, debug or kiosk (hotkey M switches at runtime)
+    unattended: false, // Auto-start, retry failures with backoff, restart ended/frozen camera, reload on repeated errors
+    retryBaseDelayMs: 2000, // First retry delay in unattended mode (doubles with each failed attempt)
+    retryMaxDelayMs: 60000, // Longest retry delay in unattended mode
+    reloadAfterFailures: 5, // Failures within 10 minutes after which the page reloads itself
+    frozenVideoMs: 5000, // Video without new frames this long counts as a camera failure
+    faceApiUrl: 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/dist/face-api.min.js', // face-api bundle
+    localFaceApiUrl: 'face-api/face-api.min.js', // Self-hosted bundle, used if faceApiUrl fails ('' - none)
+    modelUrl: 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/', // Model base path
+    localModelUrl: 'face-api/model/', // Self-hosted models, used if modelUrl fails ('' - none)
+    offlineCache: true, // Service worker caching the app, face-api, models, phrases and vocals for offline use
+    masterVolume: 1.0, // Volume of all audio (phrases and ambient track)
+    crossfadeMs: 300, // Fade between phrases
+    ambientUrl: '', // Looping ambient track, e.g. 'ambient.mp3' ('' - none)
+    ambientVolume: 0.3, // Ambient track volume
+    ambientDuckLevel: 0.3, // Ambient volume share while a phrase plays
+    emotionAudioEffects: true, // Per-emotion filter and reverb on phrase audio
+    preloadPhrases: 3, // Likely next local phrases whose audio is loaded in advance (0 - none)
+    audioCacheMb: 64, // Limit of decoded audio kept in memory, least recently used is dropped first
+    cycleScript: 'default', // Phrase cycle script from cycle_scripts.yaml (greeting, local phrases, POF, silence...)
+    pofPrefetch: true, // Send the POF request in the background during the step before a POF step
+    pofTimeoutMs: 15000, // POF request is aborted after this
+    pofMaxAgeMs: 30000 // Prefetched POF phrases whose photo is older than this when their turn comes are discarded
+};
+
+// Convert query string value to the type of the default value
+function parseConfigValue(value, defaultValue) {
+    if (typeof defaultValue === 'number') {
+        const number = Number(value);
+        return Number.isNaN(number) ? defaultValue : number;
+    }
+    if (typeof defaultValue === 'boolean') {
+        return value === '' || value === '1' || value === 'true';
+    }
+    return value;
+}
+
+// Build configuration from defaults, APP_CONFIG object and URL query parameters
+function loadConfig() {
+    const config = { ...DEFAULT_CONFIG };
+
+    // Config object loaded before this script
+    if (typeof APP_CONFIG === 'object' && APP_CONFIG !== null) {
+        Object.assign(config, APP_CONFIG);
+    }
+
+    // URL query parameters (only known keys are accepted)
+    // (self.location also works in workers; the service worker has no query string and gets the defaults)
+    const params = new URLSearchParams(self.location.search);
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+        if (params.has(key)) {
+            config[key] = parseConfigValue(params.get(key), DEFAULT_CONFIG[key]);
+        }
+    });
+
+    return config;
+}
+
+// Whether a key was set explicitly by APP_CONFIG or a URL query parameter (not just the default)
+function isConfigSet(key) {
+    if (typeof APP_CONFIG === 'object' && APP_CONFIG !== null && APP_CONFIG[key] !== undefined) {
+        return true;
+    }
+    return new URLSearchParams(self.location.search).has(key);
+}
+
+// Create global configuration
+const appConfig = loadConfig();
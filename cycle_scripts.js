@@ -0,0 +1,77 @@
+const CYCLE_SCRIPTS = {
+  "default": {
+    "pauseMs": 500,
+    "steps": [
+      {
+        "local": 3
+      },
+      {
+        "pof": true
+      }
+    ]
+  },
+  "gallery": {
+    "pauseMs": 800,
+    "steps": [
+      {
+        "say": {
+          "text": "Здравствуйте",
+          "tts": true
+        },
+        "once": true
+      },
+      {
+        "local": 3
+      },
+      {
+        "pof": true,
+        "when": {
+          "minDwellMs": 15000,
+          "maxViewers": 1
+        }
+      },
+      {
+        "local": 2,
+        "when": {
+          "emotion": [
+            "sad",
+            "angry",
+            "fearful"
+          ]
+        }
+      },
+      {
+        "silence": 5000
+      }
+    ],
+    "farewell": {
+      "say": {
+        "text": "До свидания",
+        "tts": true
+      },
+      "when": {
+        "minDwellMs": 60000
+      }
+    }
+  },
+  "crowd": {
+    "pauseMs": 300,
+    "steps": [
+      {
+        "local": 5
+      },
+      {
+        "pof": true,
+        "when": {
+          "maxViewers": 2
+        }
+      },
+      {
+        "silence": 2000,
+        "when": {
+          "minViewers": 3
+        }
+      }
+    ]
+  }
+};
\ No newline at end of file
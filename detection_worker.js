@@ -0,0 +1,96 @@
+// Face detection worker (started by FaceDetector in face_detector.js)
+// Messages from the page:
+//   {type: 'init', scriptUrls, modelUrls}       -> {type: 'progress', key, state, url} messages,
+//                                                  then {type: 'ready'} or {type: 'error', message}
+//   {type: 'detect', bitmap, withDescriptors}   -> {type: 'result', detections} or {type: 'error', message}
+// Frames arrive as ImageBitmaps and are drawn on an OffscreenCanvas for face-api.
+
+importScripts('face_detector.js');
+
+let frameCanvas = null;
+let frameCtx = null;
+
+// Import the face-api bundle, trying the URLs in order
+function importFaceApi(urls) {
+    for (const url of urls) {
+        try {
+            importScripts(url);
+            return url;
+        } catch (error) {
+            console.warn(`Failed to load face-api from ${url}`);
+        }
+    }
+    throw new Error('Could not load face-api');
+}
+
+function postProgress(key, state, url) {
+    self.postMessage({ type: 'progress', key, state, url });
+}
+
+// face-api environment for a worker (face-api's Environment type)
+function createWorkerEnv() {
+    class WorkerImage {} // Placeholders for instanceof checks, no instances exist in a worker
+    class WorkerVideo {}
+    const unavailable = name => () => {
+        throw new Error(`${name} is not available in a worker`);
+    };
+    return {
+        Canvas: OffscreenCanvas,
+        CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+        Image: WorkerImage,
+        ImageData,
+        Video: WorkerVideo,
+        createCanvasElement: () => new OffscreenCanvas(1, 1),
+        createImageElement: unavailable('createImageElement'),
+        createVideoElement: unavailable('createVideoElement'),
+        fetch: self.fetch.bind(self),
+        readFile: unavailable('readFile')
+    };
+}
+
+async function init(message) {
+    postProgress('faceApi', 'loading', null);
+    try {
+        postProgress('faceApi', 'loaded', importFaceApi(message.scriptUrls));
+    } catch (error) {
+        postProgress('faceApi', 'failed', null);
+        throw error;
+    }
+
+    // face-api only detects a browser page or Node and has no environment in a worker
+    // (monkeyPatch() throws), so a complete one is set: canvases are OffscreenCanvases,
+    // images and videos never reach the worker (frames arrive as ImageBitmaps)
+    faceapi.env.setEnv(createWorkerEnv());
+    // Backends that initialize asynchronously (wasm, when WebGL is not available in workers) must be ready
+    // before the models are loaded
+    await faceapi.tf.ready();
+
+    await loadFaceModels(message.modelUrls, postProgress);
+}
+
+async function detect(message) {
+    const bitmap = message.bitmap;
+    if (!frameCanvas || frameCanvas.width !== bitmap.width || frameCanvas.height !== bitmap.height) {
+        frameCanvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        frameCtx = frameCanvas.getContext('2d');
+    }
+    frameCtx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return runFaceDetection(frameCanvas, message.withDescriptors);
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        if (message.type === 'init') {
+            await init(message);
+            self.postMessage({ type: 'ready' });
+        } else if (message.type === 'detect') {
+            const detections = await detect(message);
+            self.postMessage({ type: 'result', detections });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
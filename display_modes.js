@@ -0,0 +1,67 @@
+// Display modes module
+// Named sets of overlay settings, selected by the displayMode config value (URL parameter) or
+// switched at runtime with the hotkey:
+//   installation - only the phrase and subtle face boxes
+//   debug        - all metrics, track IDs, phrase cycle state and FPS, with text backgrounds
+//   kiosk        - installation look, plus auto-start, fullscreen and no close button
+
+const DISPLAY_MODE_HOTKEY = 'm'; // Switches to the next display mode
+
+const DISPLAY_MODES = {
+    installation: {
+        labels: false, // Gender, age, emotion, speed and head pose labels
+        trackIds: false, // Track ID and state in the labels
+        debugOverlay: false, // FPS and phrase cycle state panel
+        textBackground: false, // Dark background behind labels
+        phraseBackground: false, // Dark background behind the phrase
+        boxColor: 'rgba(255, 255, 255, 0.25)',
+        boxLineWidth: 1,
+        phraseColors: { local: '#0000FF', pof: '#FF0000' },
+        kiosk: false // Auto-start, fullscreen, no close button
+    },
+    debug: {
+        labels: true,
+        trackIds: true,
+        debugOverlay: true,
+        textBackground: true,
+        phraseBackground: true,
+        boxColor: '#999999',
+        boxLineWidth: 3,
+        phraseColors: { local: '#0000FF', pof: '#FF0000' },
+        kiosk: false
+    }
+};
+DISPLAY_MODES.kiosk = { ...DISPLAY_MODES.installation, kiosk: true };
+
+class DisplayModeSwitcher {
+    constructor(name) {
+        this.onChange = null; // Callback(name, settings) after a switch
+        this.name = 'installation';
+        if (DISPLAY_MODES[name]) {
+            this.name = name;
+        } else {
+            console.warn(`Unknown display mode: ${name}, using installation`);
+        }
+    }
+
+    get settings() {
+        return DISPLAY_MODES[this.name];
+    }
+
+    set(name) {
+        if (!DISPLAY_MODES[name] || name === this.name) {
+            return;
+        }
+        this.name = name;
+        console.log(`Display mode: ${name}`);
+        if (this.onChange) {
+            this.onChange(name, this.settings);
+        }
+    }
+
+    // Switch to the next mode (hotkey)
+    next() {
+        const names = Object.keys(DISPLAY_MODES);
+        this.set(names[(names.indexOf(this.name) + 1) % names.length]);
+    }
+}
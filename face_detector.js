@@ -0,0 +1,273 @@
+// Face detection module
+// Runs face-api detection off the render loop at its own rate. By default detection runs in a
+// Web Worker (detection_worker.js) that receives video frames as ImageBitmaps and draws them on an
+// OffscreenCanvas; without Worker/OffscreenCanvas support, or if the worker fails (also after loading),
+// it falls back to the main thread.
+// Either way the render loop never waits for the detector: results are delivered to onResult.
+// If that fallback fails too, detection stops and the error is reported to onError.
+// The face-api bundle and the models are loaded from a list of locations tried in order
+// (CDN, then the self-hosted copy, see _utils_/download_face_api.js), with per-model progress.
+// This file is also loaded by the worker and the service worker for the shared helpers and model list.
+
+// Models used by the app: face-api net, model file name (<file>-weights_manifest.json plus the
+// weight files listed in it) and title for the loading progress
+const FACE_MODELS = [
+    { net: 'tinyFaceDetector', file: 'tiny_face_detector_model', title: 'Face detector' },
+    { net: 'faceLandmark68Net', file: 'face_landmark_68_model', title: 'Face landmarks' },
+    { net: 'faceRecognitionNet', file: 'face_recognition_model', title: 'Face recognition' },
+    { net: 'faceExpressionNet', file: 'face_expression_model', title: 'Expressions' },
+    { net: 'ageGenderNet', file: 'age_gender_model', title: 'Age and gender' }
+];
+
+// Load the face-api bundle into the page, trying the URLs in order; resolves with the URL used
+function loadFaceApiScript(urls) {
+    if (typeof faceapi !== 'undefined') {
+        return Promise.resolve(null); // Already loaded
+    }
+    return urls.reduce((previous, url) => previous.catch(() => new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.onload = () => resolve(url);
+        script.onerror = () => {
+            script.remove();
+            console.warn(`Failed to load face-api from ${url}`);
+            reject(new Error(`Failed to load face-api from ${url}`));
+        };
+        document.head.appendChild(script);
+    })), Promise.reject(new Error('No face-api URL')));
+}
+
+// Load all required face-api models, trying the base URLs in order for each model
+// onProgress(key, state, url) is called with the net name and 'loading', 'loaded' or 'failed'
+async function loadFaceModels(modelUrls, onProgress = () => {}) {
+    await Promise.all(FACE_MODELS.map(async model => {
+        onProgress(model.net, 'loading', null);
+        for (const url of modelUrls) {
+            try {
+                await faceapi.nets[model.net].loadFromUri(url);
+                onProgress(model.net, 'loaded', url);
+                return;
+            } catch (error) {
+                console.warn(`Failed to load ${model.net} from ${url}:`, error.message);
+            }
+        }
+        onProgress(model.net, 'failed', null);
+        throw new Error(`Could not load model ${model.net}`);
+    }));
+}
+
+// Convert a face-api result to a plain object with the same shape (can be posted between threads)
+function serializeDetection(result) {
+    const box = result.detection.box;
+    const expressions = {};
+    Object.keys(result.expressions).forEach(emotion => {
+        expressions[emotion] = result.expressions[emotion];
+    });
+    return {
+        detection: {
+            box: { x: box.x, y: box.y, width: box.width, height: box.height },
+            score: result.detection.score
+        },
+        landmarks: {
+            positions: result.landmarks.positions.map(point => ({ x: point.x, y: point.y }))
+        },
+        expressions,
+        age: result.age,
+        gender: result.gender,
+        genderProbability: result.genderProbability,
+        descriptor: result.descriptor ? Float32Array.from(result.descriptor) : null
+    };
+}
+
+// Detect faces with all required information
+// (descriptors only if the tracker uses them for re-identification, they are costly)
+async function runFaceDetection(input, withDescriptors) {
+    let detectionTask = faceapi
+        .detectAllFaces(input, new faceapi.TinyFaceDetectorOptions())
+        .withFaceLandmarks()
+        .withFaceExpressions()
+        .withAgeAndGender();
+    if (withDescriptors) {
+        detectionTask = detectionTask.withFaceDescriptors();
+    }
+    const results = await detectionTask;
+    return results.map(serializeDetection);
+}
+
+class FaceDetector {
+    constructor(options = {}) {
+        this.scriptUrls = options.scriptUrls || []; // face-api bundle locations, tried in order
+        this.modelUrls = options.modelUrls || []; // Model base URLs, tried in order for each model
+        this.onProgress = options.onProgress || (() => {}); // Callback(key, state, url), key 'faceApi' or a net name
+        this.useWorker = options.useWorker !== undefined ? options.useWorker : true;
+        this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : 100; // Minimum time between detections
+        this.withDescriptors = !!options.withDescriptors;
+        this.onResult = null; // Callback(detections, captureTime) for each detection result
+        this.onError = null; // Callback(error) when detection stopped (worker and main-thread fallback failed)
+
+        this.worker = null; // Set once the worker has loaded the models
+        this.ready = false; // Models loaded (worker or main thread), detect() does nothing before
+        this.busy = false; // A frame is being processed (at most one at a time)
+        this.lastRequestAt = null;
+        this.pendingCapture = null; // Capture time of the frame being processed
+    }
+
+    static isWorkerSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    // Load the models, in the worker if possible
+    async load() {
+        if (this.useWorker && FaceDetector.isWorkerSupported()) {
+            try {
+                await this.startWorker();
+                this.ready = true;
+                console.log('Face detection runs in a worker');
+                return;
+            } catch (error) {
+                console.warn('Detection worker failed, detecting on the main thread:', error);
+                this.busy = false;
+                this.pendingCapture = null;
+            }
+        }
+        await this.loadMainThread();
+        this.ready = true;
+    }
+
+    // Load face-api and the models into the page for main-thread detection
+    async loadMainThread() {
+        this.onProgress('faceApi', 'loading', null);
+        try {
+            const url = await loadFaceApiScript(this.scriptUrls);
+            this.onProgress('faceApi', 'loaded', url);
+        } catch (error) {
+            this.onProgress('faceApi', 'failed', null);
+            throw error;
+        }
+        await loadFaceModels(this.modelUrls, this.onProgress);
+        console.log('Face detection runs on the main thread');
+    }
+
+    // Create the worker and wait until its models are loaded
+    // (this.worker is only set then, so no frames are sent to a worker that is still initializing)
+    startWorker() {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('detection_worker.js');
+            const fail = (error) => {
+                worker.terminate();
+                reject(error);
+            };
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    this.onProgress(message.key, message.state, message.url);
+                } else if (message.type === 'ready') {
+                    worker.onmessage = (resultEvent) => this.handleWorkerMessage(resultEvent.data);
+                    worker.onerror = (errorEvent) => this.handleWorkerFailure(new Error(errorEvent.message || 'worker error'));
+                    worker.onmessageerror = () => this.handleWorkerFailure(new Error('unreadable worker message'));
+                    this.worker = worker;
+                    resolve();
+                } else if (message.type === 'error') {
+                    fail(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => fail(new Error(event.message || 'worker error'));
+            worker.postMessage({
+                type: 'init',
+                scriptUrls: this.scriptUrls,
+                modelUrls: this.modelUrls
+            });
+        });
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    handleWorkerMessage(message) {
+        const captureTime = this.pendingCapture;
+        this.busy = false;
+        if (message.type === 'result') {
+            this.deliver(message.detections, captureTime);
+        } else if (message.type === 'error') {
+            console.error('Face detection failed in worker:', message.message);
+        }
+    }
+
+    // Worker crashed after loading: continue detection on the main thread
+    handleWorkerFailure(error) {
+        console.error('Detection worker failed, switching to the main thread:', error);
+        this.stopWorker();
+        this.ready = false;
+        this.busy = false; // The frame in the worker is lost
+        this.pendingCapture = null;
+        this.loadMainThread()
+            .then(() => {
+                this.ready = true;
+            })
+            .catch(loadError => {
+                console.error('Face detection stopped, main-thread fallback failed:', loadError);
+                if (this.onError) {
+                    this.onError(loadError);
+                }
+            });
+    }
+
+    deliver(detections, captureTime) {
+        if (this.onResult) {
+            this.onResult(detections, captureTime);
+        }
+    }
+
+    // Start detection on the current video frame unless the detector is busy or it's too early
+    // Called every render frame, never blocks
+    detect(video, now) {
+        if (!this.ready || this.busy || (this.lastRequestAt !== null && now - this.lastRequestAt < this.intervalMs)) {
+            return;
+        }
+        this.busy = true;
+        this.lastRequestAt = now;
+        this.pendingCapture = now;
+
+        if (this.worker) {
+            createImageBitmap(video)
+                .then(bitmap => {
+                    if (!this.worker) {
+                        bitmap.close(); // Worker failed meanwhile
+                        this.busy = false;
+                        return;
+                    }
+                    this.worker.postMessage({
+                        type: 'detect',
+                        bitmap,
+                        withDescriptors: this.withDescriptors
+                    }, [bitmap]);
+                })
+                .catch(error => {
+                    console.error('Error capturing frame for detection:', error);
+                    this.busy = false;
+                });
+            return;
+        }
+
+        runFaceDetection(video, this.withDescriptors)
+            .then(detections => {
+                this.busy = false;
+                this.deliver(detections, now);
+            })
+            .catch(error => {
+                console.error('Face detection failed:', error);
+                this.busy = false;
+            });
+    }
+
+    // Forget the in-flight frame (e.g. when the camera is stopped); its result is still delivered
+    reset() {
+        this.lastRequestAt = null;
+    }
+}
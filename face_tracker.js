@@ -0,0 +1,270 @@
+// Multi-face tracker module
+// Assigns stable track IDs to face detections across frames. Detections are matched to tracks by
+// box overlap (IoU), center proximity and optionally face descriptor similarity, using optimal
+// (Hungarian) assignment. Tracks go through explicit states:
+//   tentative - new track, becomes confirmed after confirmHits consecutive matches
+//   confirmed - reliably tracked face
+//   lost      - confirmed track without match, kept for maxLostMs so that the same ID is
+//               reused when the face reappears after a short occlusion
+
+const TRACK_STATES = {
+    TENTATIVE: 'tentative',
+    CONFIRMED: 'confirmed',
+    LOST: 'lost'
+};
+
+// Cost for pairs that must not be matched
+const NO_MATCH_COST = 1e6;
+
+// Intersection over union of two boxes {x, y, width, height}
+function boxIoU(a, b) {
+    const x1 = Math.max(a.x, b.x);
+    const y1 = Math.max(a.y, b.y);
+    const x2 = Math.min(a.x + a.width, b.x + b.width);
+    const y2 = Math.min(a.y + a.height, b.y + b.height);
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a.width * a.height + b.width * b.height - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+// Euclidean distance between two face descriptors (face-api considers < 0.6 the same person)
+function descriptorDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const diff = a[i] - b[i];
+        sum += diff * diff;
+    }
+    return Math.sqrt(sum);
+}
+
+// Solve the assignment problem for a cost matrix (rows x cols, may be rectangular)
+// using the Hungarian algorithm. Returns an array: row index -> column index or -1.
+function hungarianAssignment(costMatrix) {
+    const rows = costMatrix.length;
+    const cols = rows > 0 ? costMatrix[0].length : 0;
+    if (rows === 0 || cols === 0) {
+        return new Array(rows).fill(-1);
+    }
+
+    // Pad to a square matrix, padding cells have NO_MATCH_COST
+    const n = Math.max(rows, cols);
+    const cost = (i, j) => (i < rows && j < cols ? costMatrix[i][j] : NO_MATCH_COST);
+
+    // Potentials and matching (1-based, column 0 is a virtual starting point)
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const match = new Array(n + 1).fill(0); // column -> row
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        match[0] = i;
+        let j0 = 0;
+        const minv = new Array(n + 1).fill(Infinity);
+        const used = new Array(n + 1).fill(false);
+        do {
+            used[j0] = true;
+            const i0 = match[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const cur = cost(i0 - 1, j - 1) - u[i0] - v[j];
+                if (cur < minv[j]) {
+                    minv[j] = cur;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[match[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (match[j0] !== 0);
+        do {
+            const j1 = way[j0];
+            match[j0] = match[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= n; j++) {
+        const i = match[j] - 1;
+        if (i < rows && j - 1 < cols) {
+            assignment[i] = j - 1;
+        }
+    }
+    return assignment;
+}
+
+class FaceTracker {
+    constructor(options = {}) {
+        this.minIoU = options.minIoU !== undefined ? options.minIoU : 0.1; // Minimum overlap for a motion match
+        this.maxCenterDistance = options.maxCenterDistance !== undefined ? options.maxCenterDistance : 1.0; // In face widths
+        this.maxDescriptorDistance = options.maxDescriptorDistance !== undefined ? options.maxDescriptorDistance : 0.6;
+        this.descriptorWeight = options.descriptorWeight !== undefined ? options.descriptorWeight : 1.0;
+        this.confirmHits = options.confirmHits !== undefined ? options.confirmHits : 3;
+        this.maxLostMs = options.maxLostMs !== undefined ? options.maxLostMs : 2000;
+        this.onTrackRemoved = null; // Callback(track) when a track is deleted
+
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    // Match a pair, returns a similarity score (higher is better) or null if the pair can't match
+    matchScore(track, detection) {
+        const box = detection.detection.box;
+        const iou = boxIoU(track.box, box);
+
+        const trackCenterX = track.box.x + track.box.width / 2;
+        const trackCenterY = track.box.y + track.box.height / 2;
+        const centerDistance = Math.hypot(box.x + box.width / 2 - trackCenterX, box.y + box.height / 2 - trackCenterY);
+        const proximity = Math.max(0, 1 - centerDistance / (this.maxCenterDistance * track.box.width));
+
+        let descriptorSimilarity = null;
+        if (track.descriptor && detection.descriptor) {
+            const distance = descriptorDistance(track.descriptor, detection.descriptor);
+            descriptorSimilarity = Math.max(0, 1 - distance / this.maxDescriptorDistance);
+        }
+
+        // Lost tracks may have moved anywhere during the occlusion, only the descriptor can confirm them
+        const motionMatch = track.state !== TRACK_STATES.LOST && (iou >= this.minIoU || proximity > 0);
+        const descriptorMatch = descriptorSimilarity !== null && descriptorSimilarity > 0;
+        const samePlaceAfterLoss = track.state === TRACK_STATES.LOST && iou >= this.minIoU && descriptorSimilarity === null;
+
+        if (descriptorSimilarity === 0) {
+            return null; // Descriptors say it's somebody else
+        }
+        if (!motionMatch && !descriptorMatch && !samePlaceAfterLoss) {
+            return null;
+        }
+
+        return iou + 0.5 * proximity + this.descriptorWeight * (descriptorSimilarity || 0);
+    }
+
+    // Update tracks with detections of the current frame (face-api results, optionally with .descriptor)
+    // Sets detection.faceId (track ID) and detection.track, returns the detections
+    update(detections, now) {
+        // Score matrix tracks x detections
+        const scores = this.tracks.map(track => detections.map(detection => this.matchScore(track, detection)));
+        const costMatrix = scores.map(row => row.map(score => (score === null ? NO_MATCH_COST : -score)));
+        const assignment = hungarianAssignment(costMatrix);
+
+        const matchedDetections = new Set();
+        const survivingTracks = [];
+
+        this.tracks.forEach((track, trackIndex) => {
+            const detectionIndex = assignment[trackIndex];
+            if (detectionIndex >= 0 && scores[trackIndex][detectionIndex] !== null) {
+                // Matched
+                const detection = detections[detectionIndex];
+                matchedDetections.add(detectionIndex);
+                this.updateTrack(track, detection, now);
+                survivingTracks.push(track);
+                return;
+            }
+
+            // Not matched in this frame
+            track.misses++;
+            if (track.state === TRACK_STATES.TENTATIVE) {
+                this.removeTrack(track);
+                return;
+            }
+            if (track.state === TRACK_STATES.CONFIRMED) {
+                track.state = TRACK_STATES.LOST;
+            }
+            if (now - track.lastSeen > this.maxLostMs) {
+                this.removeTrack(track);
+                return;
+            }
+            survivingTracks.push(track);
+        });
+
+        // Unmatched detections start new tentative tracks
+        detections.forEach((detection, detectionIndex) => {
+            if (matchedDetections.has(detectionIndex)) return;
+            const track = {
+                id: this.nextId++,
+                state: this.confirmHits <= 1 ? TRACK_STATES.CONFIRMED : TRACK_STATES.TENTATIVE,
+                box: null,
+                previousBox: null,
+                descriptor: null,
+                hits: 0,
+                misses: 0,
+                firstSeen: now,
+                lastSeen: now
+            };
+            this.updateTrack(track, detection, now);
+            survivingTracks.push(track);
+        });
+
+        this.tracks = survivingTracks;
+        return detections;
+    }
+
+    updateTrack(track, detection, now) {
+        const box = detection.detection.box;
+        track.previousBox = track.box; // For interpolation between detection results
+        track.box = { x: box.x, y: box.y, width: box.width, height: box.height };
+        track.hits++;
+        track.misses = 0;
+        track.lastSeen = now;
+
+        if (track.state === TRACK_STATES.LOST ||
+            (track.state === TRACK_STATES.TENTATIVE && track.hits >= this.confirmHits)) {
+            track.state = TRACK_STATES.CONFIRMED;
+        }
+
+        // Running average of the descriptor, robust to single bad frames
+        if (detection.descriptor) {
+            if (!track.descriptor) {
+                track.descriptor = Float32Array.from(detection.descriptor);
+            } else {
+                for (let i = 0; i < track.descriptor.length; i++) {
+                    track.descriptor[i] = 0.9 * track.descriptor[i] + 0.1 * detection.descriptor[i];
+                }
+            }
+        }
+
+        detection.faceId = track.id;
+        detection.track = track;
+    }
+
+    removeTrack(track) {
+        if (this.onTrackRemoved) {
+            this.onTrackRemoved(track);
+        }
+    }
+
+    // Box between the previous and the latest detection (alpha 0..1), for smooth drawing
+    // while the detector runs slower than the render loop
+    interpolateBox(track, alpha) {
+        const from = track.previousBox || track.box;
+        const to = track.box;
+        const t = Math.min(1, Math.max(0, alpha));
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            width: from.width + (to.width - from.width) * t,
+            height: from.height + (to.height - from.height) * t
+        };
+    }
+
+    getTrack(id) {
+        return this.tracks.find(track => track.id === id) || null;
+    }
+
+    // Remove all tracks (e.g. when the camera is stopped)
+    reset() {
+        this.tracks.forEach(track => this.removeTrack(track));
+        this.tracks = [];
+    }
+}
@@ -0,0 +1,123 @@
+// Head pose and gesture module
+// Estimates head pose (yaw/pitch/roll) from the 68 face-api landmarks and detects simple gestures
+// from a short pose history: nod, shake, mouthOpen and lookingAway.
+// Angles are rough geometric estimates in degrees, good enough for gesture detection.
+
+const HEAD_GESTURES = ['nod', 'shake', 'mouthOpen', 'lookingAway'];
+
+// Nose tip height between eye line and mouth for a frontal face (used as pitch zero)
+const NEUTRAL_NOSE_RATIO = 0.55;
+
+function averagePoint(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+function pointDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Estimate head pose from 68 landmark positions ({x, y} list, face-api landmarks.positions)
+// Returns {yaw, pitch, roll, mouthOpenness} - yaw > 0 head turned to image right,
+// pitch > 0 head tilted down, roll > 0 head tilted clockwise; mouthOpenness as share of face height
+function estimateHeadPose(positions) {
+    const leftEye = averagePoint(positions.slice(36, 42));
+    const rightEye = averagePoint(positions.slice(42, 48));
+    const eyeCenter = averagePoint([leftEye, rightEye]);
+    const noseTip = positions[30];
+    const mouthCenter = averagePoint([positions[51], positions[57]]);
+
+    // Roll: angle of the line between the eyes
+    const roll = toDegrees(Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x));
+
+    // Yaw: nose tip position between the jaw outline sides
+    const toLeftJaw = pointDistance(noseTip, positions[0]);
+    const toRightJaw = pointDistance(noseTip, positions[16]);
+    const yawRatio = (toLeftJaw - toRightJaw) / Math.max(toLeftJaw + toRightJaw, 1e-6);
+    const yaw = toDegrees(Math.asin(clamp(yawRatio * 2, -1, 1)));
+
+    // Pitch: nose tip height between eye line and mouth
+    const eyeToMouth = Math.max(mouthCenter.y - eyeCenter.y, 1e-6);
+    const noseRatio = (noseTip.y - eyeCenter.y) / eyeToMouth;
+    const pitch = toDegrees(Math.asin(clamp((noseRatio - NEUTRAL_NOSE_RATIO) * 2, -1, 1)));
+
+    // Mouth: gap between inner lips relative to face height (nose bridge to chin)
+    const faceHeight = Math.max(pointDistance(positions[27], positions[8]), 1e-6);
+    const mouthOpenness = pointDistance(positions[62], positions[66]) / faceHeight;
+
+    return { yaw, pitch, roll, mouthOpenness };
+}
+
+class HeadGestureDetector {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs !== undefined ? options.windowMs : 2000; // Gesture history window
+        this.nodAmplitude = options.nodAmplitude !== undefined ? options.nodAmplitude : 6; // Degrees of pitch swing
+        this.shakeAmplitude = options.shakeAmplitude !== undefined ? options.shakeAmplitude : 10; // Degrees of yaw swing
+        this.minSwings = options.minSwings !== undefined ? options.minSwings : 2; // Direction changes for nod/shake
+        this.mouthOpenThreshold = options.mouthOpenThreshold !== undefined ? options.mouthOpenThreshold : 0.12;
+        this.lookAwayYaw = options.lookAwayYaw !== undefined ? options.lookAwayYaw : 30;
+        this.lookAwayPitch = options.lookAwayPitch !== undefined ? options.lookAwayPitch : 25;
+    }
+
+    // Add the pose of the current frame to a history list ({time, pose}) and drop old entries
+    addPose(history, pose, now) {
+        history.push({ time: now, pose });
+        while (history.length > 0 && now - history[0].time > this.windowMs) {
+            history.shift();
+        }
+    }
+
+    // Count direction changes of a pose angle with at least `amplitude` degrees between extremes
+    countSwings(history, key, amplitude) {
+        let swings = 0;
+        let direction = 0;
+        let extreme = history[0].pose[key];
+        history.forEach(({ pose }) => {
+            const value = pose[key];
+            if (direction >= 0 && value > extreme) {
+                extreme = value;
+                direction = 1;
+            } else if (direction <= 0 && value < extreme) {
+                extreme = value;
+                direction = -1;
+            } else if (Math.abs(value - extreme) >= amplitude) {
+                // Moved back far enough from the extreme - a swing in the other direction
+                swings++;
+                direction = -direction;
+                extreme = value;
+            }
+        });
+        return swings;
+    }
+
+    // Get gestures seen in the history window (subset of HEAD_GESTURES)
+    detectGestures(history) {
+        if (history.length === 0) {
+            return [];
+        }
+        const gestures = [];
+        const latest = history[history.length - 1].pose;
+
+        if (this.countSwings(history, 'pitch', this.nodAmplitude) >= this.minSwings) {
+            gestures.push('nod');
+        }
+        if (this.countSwings(history, 'yaw', this.shakeAmplitude) >= this.minSwings) {
+            gestures.push('shake');
+        }
+        if (latest.mouthOpenness >= this.mouthOpenThreshold) {
+            gestures.push('mouthOpen');
+        }
+        if (Math.abs(latest.yaw) >= this.lookAwayYaw || Math.abs(latest.pitch) >= this.lookAwayPitch) {
+            gestures.push('lookingAway');
+        }
+        return gestures;
+    }
+}
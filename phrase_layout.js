@@ -0,0 +1,214 @@
+// Phrase text layout module
+// Lays out the phrase under (or above) the main face: word wrapping to a maximum width, clamping to
+// the viewport and mirror-aware placement (with a mirrored canvas the text is drawn flipped back,
+// so it stays readable and lands under the face as seen on screen).
+// Draws the phrase with a reveal animation driven by playback progress (0..1):
+//   none       - whole phrase at once
+//   fade       - phrase fades in during the first part of the playback
+//   typewriter - characters appear one by one
+//   words      - words appear one by one, each fading in
+// With word timings (see alignment_loader.js) the phrase is drawn karaoke-style instead:
+// the word being spoken is highlighted, words not spoken yet are dimmed.
+
+const PHRASE_ANIMATIONS = ['none', 'fade', 'typewriter', 'words'];
+
+// Share of the playback after which the phrase is fully revealed (text runs slightly ahead of speech)
+const REVEAL_END = 0.9;
+// Share of the playback used by the fade-in
+const FADE_SHARE = 0.2;
+// Karaoke colors: the word being spoken, and opacity of words not spoken yet
+const KARAOKE_HIGHLIGHT_COLOR = '#FFFFFF';
+const KARAOKE_UPCOMING_ALPHA = 0.35;
+
+function clampToRange(value, min, max) {
+    // Content larger than the range sticks to the start
+    return Math.max(min, Math.min(value, max));
+}
+
+class PhraseLayout {
+    constructor(options = {}) {
+        this.mirror = !!options.mirror; // Canvas is mirrored via CSS transform: scaleX(-1)
+        this.maxWidthRatio = options.maxWidthRatio !== undefined ? options.maxWidthRatio : 0.8; // Of viewport width
+        this.margin = options.margin !== undefined ? options.margin : 20; // Minimum distance to viewport edges
+        this.gap = options.gap !== undefined ? options.gap : 10; // Distance between face box and text
+        this.lineHeight = options.lineHeight !== undefined ? options.lineHeight : 1.25; // Of font size
+        this.animation = PHRASE_ANIMATIONS.includes(options.animation) ? options.animation : 'none';
+    }
+
+    // Box in screen coordinates (as seen by the viewer) from canvas coordinates
+    toScreenBox(box, canvasWidth) {
+        if (!this.mirror) {
+            return box;
+        }
+        return { x: canvasWidth - box.x - box.width, y: box.y, width: box.width, height: box.height };
+    }
+
+    // Draw in screen coordinates: with a mirrored canvas, flip the context back
+    beginScreenDrawing(ctx, canvasWidth) {
+        ctx.save();
+        if (this.mirror) {
+            ctx.setTransform(-1, 0, 0, 1, canvasWidth, 0);
+        }
+    }
+
+    endScreenDrawing(ctx) {
+        ctx.restore();
+    }
+
+    // Split text into lines no wider than maxWidth (ctx.font must be set)
+    // Words longer than a line are broken by characters
+    wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        text.split(/\s+/).filter(word => word.length > 0).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) {
+                lines.push(line);
+            }
+            // Break a word that doesn't fit on its own line
+            line = '';
+            for (const char of word) {
+                if (line && ctx.measureText(line + char).width > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        if (line) {
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    // Lay out text for a face box (canvas coordinates), returns
+    // {font, fontSize, lineHeight, x, y, width, height, lines: [{text, x, y, width}]} in screen coordinates
+    layout(ctx, text, faceBox, canvasWidth, canvasHeight, font, fontSize) {
+        ctx.font = font;
+        const box = this.toScreenBox(faceBox, canvasWidth);
+        const maxWidth = Math.max(fontSize, canvasWidth * this.maxWidthRatio);
+        const lineHeight = fontSize * this.lineHeight;
+
+        const lineTexts = this.wrapText(ctx, text, maxWidth);
+        const widths = lineTexts.map(line => ctx.measureText(line).width);
+        const width = Math.max(0, ...widths);
+        const height = lineTexts.length * lineHeight;
+
+        // Below the face, or above it if there is no room below
+        let y = box.y + box.height + this.gap;
+        if (y + height > canvasHeight - this.margin && box.y - this.gap - height >= this.margin) {
+            y = box.y - this.gap - height;
+        }
+        y = clampToRange(y, this.margin, canvasHeight - this.margin - height);
+
+        // Aligned with the face box, kept inside the viewport
+        const x = clampToRange(box.x, this.margin, canvasWidth - this.margin - width);
+
+        return {
+            font,
+            fontSize,
+            lineHeight,
+            x,
+            y,
+            width,
+            height,
+            lines: lineTexts.map((line, index) => ({ text: line, x, y: y + index * lineHeight, width: widths[index] }))
+        };
+    }
+
+    // Draw a laid out phrase karaoke-style with word timings [{start, end}] (one per word of the text)
+    // at the given audio time in seconds. Returns false (nothing drawn) if the words don't fit the
+    // timings, e.g. when a long word was broken across lines.
+    drawKaraoke(ctx, layout, color, wordTimings, currentTime, canvasWidth) {
+        this.beginScreenDrawing(ctx, canvasWidth);
+        ctx.font = layout.font;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        const words = this.getWordPositions(ctx, layout);
+        if (words.length !== wordTimings.length) {
+            this.endScreenDrawing(ctx);
+            return false;
+        }
+
+        words.forEach((word, index) => {
+            const timing = wordTimings[index];
+            const speaking = currentTime >= timing.start && currentTime < timing.end;
+            ctx.fillStyle = speaking ? KARAOKE_HIGHLIGHT_COLOR : color;
+            ctx.globalAlpha = currentTime < timing.start ? KARAOKE_UPCOMING_ALPHA : 1;
+            ctx.fillText(word.text, word.x, word.y);
+        });
+
+        this.endScreenDrawing(ctx);
+        return true;
+    }
+
+    // Draw a laid out phrase with the reveal animation at the given playback progress (0..1)
+    draw(ctx, layout, color, progress, canvasWidth) {
+        const reveal = Math.min(1, Math.max(0, progress) / REVEAL_END);
+
+        this.beginScreenDrawing(ctx, canvasWidth);
+        ctx.font = layout.font;
+        ctx.fillStyle = color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        switch (this.animation) {
+            case 'fade':
+                ctx.globalAlpha = Math.min(1, progress / FADE_SHARE);
+                layout.lines.forEach(line => ctx.fillText(line.text, line.x, line.y));
+                break;
+            case 'typewriter':
+                this.drawTypewriter(ctx, layout, reveal);
+                break;
+            case 'words':
+                this.drawWords(ctx, layout, reveal);
+                break;
+            default:
+                layout.lines.forEach(line => ctx.fillText(line.text, line.x, line.y));
+        }
+
+        this.endScreenDrawing(ctx);
+    }
+
+    drawTypewriter(ctx, layout, reveal) {
+        const totalChars = layout.lines.reduce((sum, line) => sum + line.text.length, 0);
+        let remaining = Math.round(totalChars * reveal);
+        layout.lines.forEach(line => {
+            if (remaining <= 0) return;
+            ctx.fillText(line.text.slice(0, remaining), line.x, line.y);
+            remaining -= line.text.length;
+        });
+    }
+
+    // Positions of the words of a laid out phrase [{text, x, y}] (ctx.font must be set)
+    getWordPositions(ctx, layout) {
+        const words = [];
+        layout.lines.forEach(line => {
+            let offset = 0;
+            line.text.split(' ').forEach(word => {
+                words.push({ text: word, x: line.x + ctx.measureText(line.text.slice(0, offset)).width, y: line.y });
+                offset += word.length + 1;
+            });
+        });
+        return words;
+    }
+
+    drawWords(ctx, layout, reveal) {
+        const words = this.getWordPositions(ctx, layout);
+
+        // Position in words; the word being revealed fades in
+        const position = words.length * reveal;
+        words.forEach((word, index) => {
+            const visibility = Math.min(1, position - index);
+            if (visibility <= 0) return;
+            ctx.globalAlpha = visibility;
+            ctx.fillText(word.text, word.x, word.y);
+        });
+        ctx.globalAlpha = 1;
+    }
+}
@@ -1,11 +1,48 @@
 // Phrase selector module
 // Loads phrases from phrases.json and provides selection mechanism with priority system
 
+// Age groups for audience targeting, [min, max) in years of the estimated age
+const AGE_GROUPS = {
+    child: [0, 14],
+    adult: [14, 60],
+    elder: [60, Infinity]
+};
+
+// Convert a phrase from PHRASES_DATA (plain string or object) to a phrase entry
+// {text, audio, weight, tags, age, gender, gestures}, audio is null when the filename is derived from the text,
+// age (list of AGE_GROUPS names) and gender are audience constraints (empty/null = any viewer),
+// gestures (list of HEAD_GESTURES names) restricts the phrase to viewers making one of the gestures
+function normalizePhraseEntry(phrase) {
+    if (typeof phrase === 'string') {
+        return { text: phrase, audio: null, weight: 1, tags: [], age: [], gender: null, gestures: [] };
+    }
+    return {
+        text: phrase.text,
+        audio: phrase.audio || null,
+        weight: phrase.weight !== undefined ? phrase.weight : 1,
+        tags: phrase.tags || [],
+        age: phrase.age ? [].concat(phrase.age) : [],
+        gender: phrase.gender || null,
+        gestures: phrase.gestures ? [].concat(phrase.gestures) : []
+    };
+}
+
+// Get age group name for an estimated age (null if unknown)
+function getAgeGroup(age) {
+    if (typeof age !== 'number' || Number.isNaN(age)) {
+        return null;
+    }
+    return Object.keys(AGE_GROUPS).find(group => age >= AGE_GROUPS[group][0] && age < AGE_GROUPS[group][1]) || null;
+}
+
 class PhraseSelector {
     constructor() {
         this.phrases = null;
-        this.recentPhrases = []; // Track recently used phrases to avoid repetition
+        this.recentPhrases = []; // Track recently used phrase texts to avoid repetition
         this.maxRecentHistory = 5; // Keep track of last 5 phrases
+        this.audienceBoost = 3; // Weight multiplier for phrases targeted at the current viewer
+        this.minGenderProbability = 0.7; // Gender constraints only match above this confidence
+        this.speedThresholds = { lo: 300, hi: 1000 }; // Speed category bounds (px/s unless the app normalizes speed)
         this.ready = false;
     }
 
@@ -16,7 +53,15 @@ class PhraseSelector {
             if (typeof PHRASES_DATA === 'undefined') {
                 throw new Error('PHRASES_DATA is not defined. Make sure phrases.js is loaded before phrase_selector.js');
             }
-            this.phrases = PHRASES_DATA;
+            // Normalize all buckets to lists of phrase entries
+            this.phrases = {};
+            Object.keys(PHRASES_DATA).forEach(emotion => {
+                this.phrases[emotion] = {};
+                Object.keys(PHRASES_DATA[emotion] || {}).forEach(speedCategory => {
+                    const bucket = PHRASES_DATA[emotion][speedCategory] || [];
+                    this.phrases[emotion][speedCategory] = bucket.map(normalizePhraseEntry);
+                });
+            });
             this.ready = true;
             console.log('Phrases loaded successfully');
             return true;
@@ -32,16 +77,16 @@ class PhraseSelector {
         if (speed === null || speed === undefined) {
             return 'med'; // Default to medium if speed is not available
         }
-        if (speed < 300) {
+        if (speed < this.speedThresholds.lo) {
             return 'lo';
-        } else if (speed <= 1000) {
+        } else if (speed <= this.speedThresholds.hi) {
             return 'med';
         } else {
             return 'hi';
         }
     }
 
-    // Get all phrases for a given emotion and speed category
+    // Get all phrase entries for a given emotion and speed category
     getPhrasesForCombination(emotion, speedCategory) {
         if (!this.ready || !this.phrases) {
             return [];
@@ -72,28 +117,105 @@ class PhraseSelector {
         return allPhrases;
     }
 
-    // Select a random phrase with priority mechanism
-    selectPhrase(emotion, speed) {
-        if (!this.ready) {
+    // Pick an emotion from the full expression probability vector (face-api expressions)
+    // Returns 'neutral' if the neutral score reaches neutralThreshold, otherwise draws one of the
+    // other emotions with probability proportional to its score, so mixed faces
+    // (e.g. 40% sad, 35% surprised) get phrases from several emotion buckets over time.
+    // Emotions scoring below minScore are ignored as noise.
+    pickEmotion(expressions, neutralThreshold = 0.7, minScore = 0.05) {
+        if (!expressions) {
+            return 'neutral';
+        }
+        if ((expressions.neutral || 0) >= neutralThreshold) {
+            return 'neutral';
+        }
+
+        const candidates = Object.keys(expressions)
+            .filter(emotion => emotion !== 'neutral' && expressions[emotion] >= minScore);
+        const totalScore = candidates.reduce((sum, emotion) => sum + expressions[emotion], 0);
+        if (candidates.length === 0 || totalScore <= 0) {
+            return 'neutral';
+        }
+
+        let random = Math.random() * totalScore;
+        for (const emotion of candidates) {
+            random -= expressions[emotion];
+            if (random <= 0) {
+                return emotion;
+            }
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    // Check audience and gesture constraints of a phrase entry against a viewer profile
+    // {age, gender, genderProbability, gestures}
+    // Returns 'any' for unconstrained phrases, 'match' if all constraints match the viewer, otherwise null
+    matchViewer(entry, viewer) {
+        if (entry.age.length === 0 && !entry.gender && entry.gestures.length === 0) {
+            return 'any';
+        }
+        if (!viewer) {
+            return null;
+        }
+        if (entry.age.length > 0 && !entry.age.includes(getAgeGroup(viewer.age))) {
             return null;
         }
+        if (entry.gender && (entry.gender !== viewer.gender ||
+            (viewer.genderProbability || 0) < this.minGenderProbability)) {
+            return null;
+        }
+        if (entry.gestures.length > 0 &&
+            !entry.gestures.some(gesture => (viewer.gestures || []).includes(gesture))) {
+            return null;
+        }
+        return 'match';
+    }
 
+    // Phrase entries available for a viewer with their selection weights [{phrase, weight}]
+    // Recently used phrases get lower weight, phrases targeted at the viewer get higher weight
+    getWeightedPhrases(emotion, speed, viewer = null) {
         const speedCategory = this.getSpeedCategory(speed);
-        const availablePhrases = this.getPhrasesForCombination(emotion, speedCategory);
+        return this.getPhrasesForCombination(emotion, speedCategory)
+            .filter(phrase => this.matchViewer(phrase, viewer) !== null)
+            .map(phrase => {
+                const recentIndex = this.recentPhrases.indexOf(phrase.text);
+                // If phrase was recently used, give it lower weight
+                // Weight decreases based on how recent it was (0 = most recent, gets lowest weight)
+                const recencyWeight = recentIndex >= 0 ? 1 / (recentIndex + 2) : 1;
+                const audienceWeight = this.matchViewer(phrase, viewer) === 'match' ? this.audienceBoost : 1;
+                return { phrase, weight: phrase.weight * recencyWeight * audienceWeight };
+            });
+    }
 
-        if (availablePhrases.length === 0) {
+    // The count phrase entries most likely to be selected next for the same emotion, speed and viewer
+    // (used to preload their audio)
+    getLikelyPhrases(emotion, speed, viewer = null, count = 3) {
+        if (!this.ready) {
+            return [];
+        }
+        // Random order among equal weights (most phrases have weight 1), like the selection itself
+        return this.getWeightedPhrases(emotion, speed, viewer)
+            .map(item => ({ ...item, tieBreak: Math.random() }))
+            .sort((a, b) => b.weight - a.weight || a.tieBreak - b.tieBreak)
+            .slice(0, count)
+            .map(item => item.phrase);
+    }
+
+    // Select a random phrase entry with priority mechanism
+    // viewer ({age, gender, genderProbability, gestures}, optional): phrases targeted at the viewer are
+    // preferred, phrases targeted at other audiences or gestures are skipped, unconstrained phrases are
+    // always available
+    selectPhrase(emotion, speed, viewer = null) {
+        if (!this.ready) {
             return null;
         }
 
-        // Create priority-weighted list
-        // Recently used phrases get lower weight
-        const weightedPhrases = availablePhrases.map(phrase => {
-            const recentIndex = this.recentPhrases.indexOf(phrase);
-            // If phrase was recently used, give it lower weight
-            // Weight decreases based on how recent it was (0 = most recent, gets lowest weight)
-            const weight = recentIndex >= 0 ? 1 / (recentIndex + 2) : 1;
-            return { phrase, weight };
-        });
+        const weightedPhrases = this.getWeightedPhrases(emotion, speed, viewer);
+        const availablePhrases = weightedPhrases.map(item => item.phrase);
+
+        if (availablePhrases.length === 0) {
+            return null;
+        }
 
         // Calculate total weight
         const totalWeight = weightedPhrases.reduce((sum, item) => sum + item.weight, 0);
@@ -116,14 +238,14 @@ class PhraseSelector {
             selectedPhrase = availablePhrases[Math.floor(Math.random() * availablePhrases.length)];
         }
 
-        // Update recent phrases history
+        // Update recent phrases history (by text, same phrase can be in several buckets)
         // Remove phrase if it already exists in history
-        const existingIndex = this.recentPhrases.indexOf(selectedPhrase);
+        const existingIndex = this.recentPhrases.indexOf(selectedPhrase.text);
         if (existingIndex >= 0) {
             this.recentPhrases.splice(existingIndex, 1);
         }
         // Add to front of history
-        this.recentPhrases.unshift(selectedPhrase);
+        this.recentPhrases.unshift(selectedPhrase.text);
         // Keep only recent history
         if (this.recentPhrases.length > this.maxRecentHistory) {
             this.recentPhrases.pop();
@@ -138,6 +260,25 @@ class PhraseSelector {
     }
 }
 
+// Convert phrase text to filename format (remove punctuation, replace spaces with underscores, add .mp3)
+// Audio for local phrases is loaded from vocals/<filename>
+function phraseToFilename(phrase) {
+    if (!phrase) return null;
+    // Remove punctuation but keep letters (including Cyrillic), numbers, spaces, and + character
+    // Remove common punctuation: . , ! ? : ; " ' ( ) [ ] { } - etc.
+    let filename = phrase.replace(/[.,!?:;"'()\[\]{}\-–—…]/g, '');
+    // Replace spaces with underscores
+    filename = filename.replace(/\s+/g, '_');
+    filename = filename.replace(/\+/g, '');
+    // Add .mp3 extension
+    return filename + '.mp3';
+}
+
+// Get the vocals/ filename for a phrase entry (explicit audio override or derived from text)
+function getAudioFilename(entry) {
+    return entry.audio || phraseToFilename(entry.text);
+}
+
 // Create global instance
 const phraseSelector = new PhraseSelector();
 
@@ -0,0 +1,153 @@
+// Phrase library validator
+// Cross-checks PHRASES_DATA against the recordings in vocals/ and against the emotion labels
+// face-api produces. Used by the debug page (phrases_debug.html) and by _utils_/validate_phrases.js.
+
+// Expression labels produced by face-api (withFaceExpressions)
+const FACE_EXPRESSIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised'];
+
+// Speed categories produced by PhraseSelector.getSpeedCategory()
+const SPEED_CATEGORIES = ['lo', 'med', 'hi'];
+
+// Viewer profiles the selection has to serve: every age group and gender, each also unknown
+// (no gestures - gesture phrases are never the only choice a viewer has)
+const AUDIENCE_PROFILES = [null, ...Object.keys(AGE_GROUPS)].flatMap(ageGroup => [null, 'male', 'female'].map(gender => ({
+    label: `${ageGroup || 'unknown age'}, ${gender || 'unknown gender'}`,
+    viewer: {
+        age: ageGroup ? AGE_GROUPS[ageGroup][0] : null,
+        gender,
+        genderProbability: gender ? 1 : 0,
+        gestures: []
+    }
+})));
+
+class PhraseValidator {
+    constructor(phrasesData, selector) {
+        this.phrasesData = phrasesData;
+        this.selector = selector; // Loaded PhraseSelector, used to check emotion/speed combinations
+    }
+
+    // List all buckets as {emotion, speed, path, phrases}, phrases are normalized entries
+    getBuckets() {
+        const buckets = [];
+        Object.keys(this.phrasesData || {}).forEach(emotion => {
+            const speeds = this.phrasesData[emotion] || {};
+            Object.keys(speeds).forEach(speed => {
+                buckets.push({
+                    emotion,
+                    speed,
+                    path: `${emotion}.${speed}`,
+                    phrases: Array.isArray(speeds[speed]) ? speeds[speed].map(normalizePhraseEntry) : []
+                });
+            });
+        });
+        return buckets;
+    }
+
+    // Run all checks
+    // audioFiles: list of mp3 filenames in vocals/, or null if unknown (skips audio checks)
+    validate(audioFiles = null) {
+        const buckets = this.getBuckets();
+        const report = {
+            phraseCount: 0,
+            audioChecked: Array.isArray(audioFiles),
+            missingAudio: [], // {phrase, filename, buckets}
+            orphanAudio: [], // filename
+            duplicates: [], // {phrase, buckets}
+            filenameCollisions: [], // {filename, phrases}
+            emptyBuckets: [], // bucket path
+            unknownBuckets: [], // bucket path never used by PhraseSelector
+            emptyCombinations: [] // {emotion, speedCategory, audience} for which selectPhrase() returns null
+            // (audience - viewer profile label, null if there are no phrases for any viewer)
+        };
+
+        // Phrase text -> bucket paths, phrase text -> filename, filename -> phrase texts
+        const phraseBuckets = new Map();
+        const phraseFilenames = new Map();
+        const filenamePhrases = new Map();
+
+        buckets.forEach(bucket => {
+            if (bucket.phrases.length === 0) {
+                report.emptyBuckets.push(bucket.path);
+            }
+            if ((bucket.emotion !== 'all' && !FACE_EXPRESSIONS.includes(bucket.emotion)) ||
+                (bucket.speed !== 'all' && !SPEED_CATEGORIES.includes(bucket.speed))) {
+                report.unknownBuckets.push(bucket.path);
+            }
+
+            bucket.phrases.forEach(entry => {
+                const phrase = entry.text;
+                report.phraseCount++;
+                if (!phraseBuckets.has(phrase)) {
+                    phraseBuckets.set(phrase, []);
+                }
+                phraseBuckets.get(phrase).push(bucket.path);
+
+                const filename = getAudioFilename(entry);
+                phraseFilenames.set(phrase, filename);
+                if (!filenamePhrases.has(filename)) {
+                    filenamePhrases.set(filename, new Set());
+                }
+                filenamePhrases.get(filename).add(phrase);
+            });
+        });
+
+        phraseBuckets.forEach((paths, phrase) => {
+            if (paths.length > 1) {
+                report.duplicates.push({ phrase, buckets: paths });
+            }
+        });
+
+        filenamePhrases.forEach((phrases, filename) => {
+            if (phrases.size > 1) {
+                report.filenameCollisions.push({ filename, phrases: Array.from(phrases) });
+            }
+        });
+
+        if (report.audioChecked) {
+            const available = new Set(audioFiles.map(file => file.normalize('NFC')));
+            const expected = new Set();
+
+            phraseBuckets.forEach((paths, phrase) => {
+                const filename = phraseFilenames.get(phrase);
+                expected.add(filename.normalize('NFC'));
+                if (!available.has(filename.normalize('NFC'))) {
+                    report.missingAudio.push({ phrase, filename, buckets: paths });
+                }
+            });
+
+            audioFiles.forEach(file => {
+                if (!expected.has(file.normalize('NFC'))) {
+                    report.orphanAudio.push(file);
+                }
+            });
+        }
+
+        // Every emotion/speed combination the app can ask for must yield at least one phrase,
+        // for every audience (phrases limited to other ages or genders don't count)
+        if (this.selector) {
+            FACE_EXPRESSIONS.forEach(emotion => {
+                SPEED_CATEGORIES.forEach(speedCategory => {
+                    const phrases = this.selector.getPhrasesForCombination(emotion, speedCategory);
+                    if (phrases.length === 0) {
+                        report.emptyCombinations.push({ emotion, speedCategory, audience: null });
+                        return;
+                    }
+                    AUDIENCE_PROFILES.forEach(profile => {
+                        if (!phrases.some(phrase => this.selector.matchViewer(phrase, profile.viewer) !== null)) {
+                            report.emptyCombinations.push({ emotion, speedCategory, audience: profile.label });
+                        }
+                    });
+                });
+            });
+        }
+
+        return report;
+    }
+
+    // Problems that break playback (phrase skipped or no phrase at all)
+    static hasErrors(report) {
+        return report.missingAudio.length > 0 ||
+            report.emptyBuckets.length > 0 ||
+            report.emptyCombinations.length > 0;
+    }
+}
@@ -0,0 +1,102 @@
+// Phrase library debug page
+// Runs PhraseValidator in the browser and renders the report
+
+const reportEl = document.getElementById('report');
+const summaryEl = document.getElementById('summary');
+
+// Get mp3 filenames from the directory listing of vocals/ (python -m http.server, nginx autoindex, ...)
+// Returns null if the server doesn't provide a listing
+async function fetchVocalsListing() {
+    try {
+        const response = await fetch('vocals/');
+        if (!response.ok || !(response.headers.get('Content-Type') || '').includes('text/html')) {
+            return null;
+        }
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const files = Array.from(doc.querySelectorAll('a[href]'))
+            .map(link => decodeURIComponent(link.getAttribute('href').split('/').pop()))
+            .filter(file => file.endsWith('.mp3'));
+        return files.length > 0 ? Array.from(new Set(files)) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Without a listing, check each expected file with a HEAD request (orphans can't be detected)
+async function fetchExistingFiles(validator) {
+    const filenames = new Set();
+    validator.getBuckets().forEach(bucket => {
+        bucket.phrases.forEach(entry => filenames.add(getAudioFilename(entry)));
+    });
+
+    const existing = [];
+    await Promise.all(Array.from(filenames).map(async filename => {
+        try {
+            const response = await fetch(`vocals/${encodeURIComponent(filename)}`, { method: 'HEAD' });
+            if (response.ok) {
+                existing.push(filename);
+            }
+        } catch (error) {
+            // Treat network errors as missing file
+        }
+    }));
+    return existing;
+}
+
+function renderSection(title, level, items, format) {
+    const section = document.createElement('section');
+    section.className = `debug-section ${items.length > 0 ? level : 'ok'}`;
+
+    const heading = document.createElement('h2');
+    heading.textContent = `${title} (${items.length})`;
+    section.appendChild(heading);
+
+    if (items.length > 0) {
+        const list = document.createElement('ul');
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = format(item);
+            list.appendChild(li);
+        });
+        section.appendChild(list);
+    }
+
+    reportEl.appendChild(section);
+}
+
+async function runValidation() {
+    await phraseSelector.loadPhrases();
+    if (!phraseSelector.ready) {
+        summaryEl.textContent = 'PHRASES_DATA could not be loaded. Check console for details.';
+        summaryEl.className = 'error';
+        return;
+    }
+
+    const validator = new PhraseValidator(PHRASES_DATA, phraseSelector);
+    const listing = await fetchVocalsListing();
+    const audioFiles = listing || await fetchExistingFiles(validator);
+    const report = validator.validate(audioFiles);
+
+    renderSection('Missing audio', 'error', report.missingAudio,
+        item => `${item.filename} ← "${item.phrase}" [${item.buckets.join(', ')}]`);
+    renderSection('Empty buckets', 'error', report.emptyBuckets, item => item);
+    renderSection('Emotion/speed combinations without phrases (for an audience)', 'error', report.emptyCombinations,
+        item => `${item.emotion}.${item.speedCategory}${item.audience ? ` (${item.audience})` : ''}`);
+    if (listing) {
+        renderSection('Orphan mp3 files', 'warning', report.orphanAudio, item => item);
+    }
+    renderSection('Duplicate phrases', 'warning', report.duplicates,
+        item => `"${item.phrase}" [${item.buckets.join(', ')}]`);
+    renderSection('Different phrases with the same audio file', 'warning', report.filenameCollisions,
+        item => `${item.filename} ← ${item.phrases.map(phrase => `"${phrase}"`).join(', ')}`);
+    renderSection('Buckets never selected (unknown emotion or speed key)', 'warning', report.unknownBuckets,
+        item => item);
+
+    const hasErrors = PhraseValidator.hasErrors(report);
+    summaryEl.textContent = `${report.phraseCount} phrases, ${audioFiles.length} mp3 files found` +
+        (listing ? '' : ' (no directory listing for vocals/, orphan files not checked)') +
+        (hasErrors ? ' - validation failed' : ' - validation passed');
+    summaryEl.className = hasErrors ? 'error' : 'success';
+}
+
+window.addEventListener('load', runValidation);
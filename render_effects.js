@@ -0,0 +1,198 @@
+// Rendering effects module
+// Draws the video frame through a configurable chain of effects. Effects run on the GPU via
+// canvas compositing and canvas filters instead of per-pixel loops in JS. Costly effects are
+// skipped automatically while the frame time exceeds the budget.
+//
+// An effect is an object with a name, a `costly` flag and any of these hooks:
+//   process(source, now) - returns a new image source (e.g. an accumulation canvas)
+//   filter()             - returns a CSS filter string applied when the frame is drawn
+//   overlay(ctx, w, h)   - draws on top of the frame
+//   reset()              - clears internal state (e.g. when the camera is stopped)
+// New effects can be added to RENDER_EFFECTS (name -> factory(width, height)).
+
+// Temporal blur: exponential moving average of frames (replaces the old frame buffer average)
+class TemporalBlurEffect {
+    constructor(width, height, alpha = 0.4) {
+        this.name = 'temporalBlur';
+        this.costly = true;
+        this.alpha = alpha; // Weight of the newest frame
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d');
+        this.empty = true;
+    }
+
+    process(source) {
+        this.ctx.globalAlpha = this.empty ? 1 : this.alpha;
+        this.ctx.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.globalAlpha = 1;
+        this.empty = false;
+        return this.canvas;
+    }
+
+    reset() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.empty = true;
+    }
+}
+
+// Darken: brightness reduction
+class DarkenEffect {
+    constructor(amount = 0.5) {
+        this.name = 'darken';
+        this.costly = false;
+        this.amount = amount; // Brightness multiplier
+    }
+
+    filter() {
+        return `brightness(${this.amount})`;
+    }
+}
+
+// Vignette: darkened edges
+class VignetteEffect {
+    constructor(strength = 0.7) {
+        this.name = 'vignette';
+        this.costly = false;
+        this.strength = strength; // Opacity at the corners
+        this.gradient = null;
+        this.gradientSize = null;
+    }
+
+    overlay(ctx, width, height) {
+        const size = `${width}x${height}`;
+        if (this.gradientSize !== size) {
+            const radius = Math.hypot(width, height) / 2;
+            this.gradient = ctx.createRadialGradient(width / 2, height / 2, radius * 0.4, width / 2, height / 2, radius);
+            this.gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+            this.gradient.addColorStop(1, `rgba(0, 0, 0, ${this.strength})`);
+            this.gradientSize = size;
+        }
+        ctx.fillStyle = this.gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+}
+
+// Posterize: reduces the number of color levels, via an SVG filter referenced by the canvas filter
+class PosterizeEffect {
+    constructor(levels = 4) {
+        this.name = 'posterize';
+        this.costly = true;
+        this.filterId = `posterize-${levels}`;
+
+        if (!document.getElementById(this.filterId)) {
+            const tableValues = Array.from({ length: levels }, (_, i) => (i / (levels - 1)).toFixed(3)).join(' ');
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('width', '0');
+            svg.setAttribute('height', '0');
+            svg.style.position = 'absolute';
+            svg.innerHTML = `<filter id="${this.filterId}"><feComponentTransfer>` +
+                `<feFuncR type="discrete" tableValues="${tableValues}"/>` +
+                `<feFuncG type="discrete" tableValues="${tableValues}"/>` +
+                `<feFuncB type="discrete" tableValues="${tableValues}"/>` +
+                '</feComponentTransfer></filter>';
+            document.body.appendChild(svg);
+        }
+    }
+
+    filter() {
+        return `url(#${this.filterId})`;
+    }
+}
+
+// Available effects: name -> factory(width, height)
+const RENDER_EFFECTS = {
+    temporalBlur: (width, height) => new TemporalBlurEffect(width, height),
+    darken: () => new DarkenEffect(),
+    vignette: () => new VignetteEffect(),
+    posterize: () => new PosterizeEffect()
+};
+
+// Effect names from the renderEffects setting: comma-separated string (URL parameter)
+// or an array of names (APP_CONFIG)
+function parseEffectNames(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    return names.map(name => String(name).trim()).filter(name => name);
+}
+
+class EffectChain {
+    constructor(width, height, effectNames = [], frameBudgetMs = 40) {
+        this.width = width;
+        this.height = height;
+        this.frameBudgetMs = frameBudgetMs; // Costly effects are skipped above this frame time
+        this.effects = [];
+        effectNames.forEach(name => {
+            if (RENDER_EFFECTS[name]) {
+                this.effects.push(RENDER_EFFECTS[name](width, height));
+            } else if (name) {
+                console.warn(`Unknown render effect: ${name}`);
+            }
+        });
+
+        this.frameTime = null; // Smoothed time between frames in ms
+        this.lastFrameAt = null;
+        this.skipCostly = false;
+    }
+
+    // Track frame time and decide whether costly effects fit into the budget
+    // (with hysteresis, so effects don't flicker on and off around the limit)
+    updateFrameTime(now) {
+        if (this.lastFrameAt !== null) {
+            const delta = now - this.lastFrameAt;
+            this.frameTime = this.frameTime === null ? delta : 0.9 * this.frameTime + 0.1 * delta;
+            if (!this.skipCostly && this.frameTime > this.frameBudgetMs) {
+                this.skipCostly = true;
+                console.warn(`Frame time ${this.frameTime.toFixed(1)} ms over budget, skipping costly effects`);
+            } else if (this.skipCostly && this.frameTime < this.frameBudgetMs * 0.8) {
+                this.skipCostly = false;
+                // Accumulated frames are from before the pause, start over from the current frame
+                this.effects.filter(effect => effect.costly && effect.reset).forEach(effect => effect.reset());
+                console.log(`Frame time ${this.frameTime.toFixed(1)} ms within budget, costly effects enabled`);
+            }
+        }
+        this.lastFrameAt = now;
+    }
+
+    // Effects used in the current frame
+    getActiveEffects() {
+        return this.effects.filter(effect => !(effect.costly && this.skipCostly));
+    }
+
+    // Draw the source (video element) through the effect chain onto ctx
+    render(ctx, source, now) {
+        this.updateFrameTime(now);
+        const activeEffects = this.getActiveEffects();
+
+        let image = source;
+        activeEffects.forEach(effect => {
+            if (effect.process) {
+                image = effect.process(image, now);
+            }
+        });
+
+        const filters = activeEffects
+            .filter(effect => effect.filter)
+            .map(effect => effect.filter());
+        ctx.filter = filters.length > 0 ? filters.join(' ') : 'none';
+        ctx.drawImage(image, 0, 0, this.width, this.height);
+        ctx.filter = 'none';
+
+        activeEffects.forEach(effect => {
+            if (effect.overlay) {
+                effect.overlay(ctx, this.width, this.height);
+            }
+        });
+    }
+
+    reset() {
+        this.effects.forEach(effect => {
+            if (effect.reset) {
+                effect.reset();
+            }
+        });
+        this.frameTime = null;
+        this.lastFrameAt = null;
+        this.skipCostly = false;
+    }
+}
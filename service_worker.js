@@ -0,0 +1,204 @@
+// Offline cache service worker (registered by app.js when appConfig.offlineCache is on)
+// Precaches everything the installation needs to run without internet: the app files, the
+// face-api bundle and models (CDN and self-hosted copies), phrases.js, cycle_scripts.js and
+// the phrase audio and word timings (where there are any) in vocals/.
+// The service worker is registered with a fixed URL (one registration); it precaches the face-api
+// and model URLs of the default configuration on install, and those of the page's configuration
+// (APP_CONFIG, query string) when the page posts them ({type: 'config', config} message).
+// Only these files are cached, other requests go to the network untouched:
+//
+//   App files                  - network first, cache when offline (edits show up on reload);
+//                                cached once without the query string
+//   face-api, models, vocals/  - cache first, they don't change
+//
+// Bump CACHE_NAME when the list of app files changes.
+
+const CACHE_NAME = 'poetic-feedback-v5';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'config.js',
+    'phrases.js',
+    'cycle_scripts.js',
+    'phrase_selector.js',
+    'speech_fallback.js',
+    'audio_engine.js',
+    'face_tracker.js',
+    'head_gestures.js',
+    'visitor_detector.js',
+    'render_effects.js',
+    'display_modes.js',
+    'unattended.js',
+    'camera_settings.js',
+    'face_detector.js',
+    'detection_worker.js',
+    'alignment_loader.js',
+    'phrase_layout.js',
+    'conductor.js',
+    'app.js'
+];
+
+importScripts('config.js', 'phrases.js', 'cycle_scripts.js', 'phrase_selector.js', 'face_detector.js', 'alignment_loader.js');
+
+// Model files of a model base URL: weight manifests (cached copy if there is one) plus the weight files they list
+async function getModelFiles(baseUrl) {
+    const files = [];
+    await Promise.all(FACE_MODELS.map(async model => {
+        const manifestUrl = `${baseUrl}${model.file}-weights_manifest.json`;
+        const response = await caches.match(manifestUrl, { cacheName: CACHE_NAME }) || await fetch(manifestUrl);
+        if (!response.ok) {
+            throw new Error(`${manifestUrl}: ${response.status}`);
+        }
+        const manifest = await response.json();
+        files.push(manifestUrl);
+        manifest.forEach(group => group.paths.forEach(path => files.push(baseUrl + path)));
+    }));
+    return files;
+}
+
+// Audio filenames of all local phrases and of the fixed phrases in cycle scripts (steps and farewell,
+// except tts phrases that have no recording)
+function getAudioFilenames() {
+    const files = new Set();
+    const addEntry = entry => files.add(getAudioFilename(entry));
+    Object.values(PHRASES_DATA).forEach(speeds => {
+        Object.values(speeds).forEach(bucket => {
+            bucket.map(normalizePhraseEntry).forEach(addEntry);
+        });
+    });
+    Object.values(CYCLE_SCRIPTS).forEach(script => {
+        const says = script.steps.filter(step => step.say !== undefined).map(step => step.say);
+        if (script.farewell) {
+            says.push(script.farewell.say);
+        }
+        says.filter(say => !say.tts).map(normalizePhraseEntry).forEach(addEntry);
+    });
+    return [...files];
+}
+
+// Audio files and word timing files in vocals/ (alignment files are optional, most phrases have none)
+function getVocalsFiles() {
+    const filenames = getAudioFilenames();
+    return {
+        audio: filenames.map(filename => `vocals/${encodeURIComponent(filename)}`),
+        alignments: filenames.map(filename => alignmentLoader.getAlignmentUrl(filename))
+    };
+}
+
+// Add files to the cache one by one; missing files (e.g. no self-hosted copy) are skipped
+// (warn - log each of them), files already in the cache are not downloaded again
+async function cacheFiles(cache, urls, warn = true) {
+    let cached = 0;
+    await Promise.all(urls.map(async url => {
+        try {
+            if (!await cache.match(url)) {
+                await cache.add(url);
+            }
+            cached++;
+        } catch (error) {
+            if (warn) {
+                console.warn(`Not cached: ${url}`);
+            }
+        }
+    }));
+    return cached;
+}
+
+// face-api bundle and model files of a configuration {faceApiUrl, localFaceApiUrl, modelUrl, localModelUrl}
+async function getAssetFiles(config) {
+    const modelUrls = [config.modelUrl, config.localModelUrl].filter(url => url);
+
+    const modelFiles = [];
+    for (const baseUrl of modelUrls) {
+        try {
+            modelFiles.push(...await getModelFiles(baseUrl));
+        } catch (error) {
+            console.warn(`Models not cached from ${baseUrl}:`, error.message);
+        }
+    }
+
+    return [...[config.faceApiUrl, config.localFaceApiUrl].filter(url => url), ...modelFiles];
+}
+
+async function precache(config) {
+    const cache = await caches.open(CACHE_NAME);
+    const vocals = getVocalsFiles();
+    const urls = [...APP_FILES, ...await getAssetFiles(config), ...vocals.audio];
+    const cached = await cacheFiles(cache, urls);
+    const alignments = await cacheFiles(cache, vocals.alignments, false);
+    console.log(`Offline cache: ${cached} of ${urls.length} files cached, ${alignments} word timing files`);
+}
+
+// Cache key of an app file (without query string), null if the URL is not one of APP_FILES
+function getAppFileKey(url) {
+    const key = url.origin + url.pathname;
+    const appFileUrls = APP_FILES.map(file => new URL(file, self.registration.scope).href);
+    return appFileUrls.includes(key) ? key : null;
+}
+
+// Network first, cached copy when offline (key - cache key of the app file)
+async function networkFirst(request, key) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Stored without the query string, so pages opened with configuration parameters match
+        const cached = await cache.match(key);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Precached copy if there is one (face-api, models, vocals), otherwise network without caching
+// (offline, a missing alignment file fails like a 404, the phrase is shown without word timings)
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    return cached || fetch(request);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache(appConfig).then(() => self.skipWaiting()));
+});
+
+// Configuration of the page: precache its face-api and models if they differ from the defaults
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'config') {
+        return;
+    }
+    event.waitUntil(caches.open(CACHE_NAME).then(async cache => {
+        const urls = await getAssetFiles(event.data.config);
+        const cached = await cacheFiles(cache, urls);
+        console.log(`Offline cache: ${cached} of ${urls.length} face-api and model files of the page configuration cached`);
+    }));
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches of previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return; // POF requests and other POSTs go straight to the network
+    }
+    const appFileKey = getAppFileKey(new URL(request.url));
+    if (appFileKey) {
+        event.respondWith(networkFirst(request, appFileKey));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -0,0 +1,113 @@
+// Speech fallback module
+// Speaks phrases through the Web Speech API when their recording is missing in vocals/
+
+// Voice settings per emotion (face-api expression labels)
+// voice is an index into the list of available voices for the configured language
+const SPEECH_EMOTION_PROFILES = {
+    angry: { rate: 1.1, pitch: 0.7, voice: 0 },
+    disgusted: { rate: 0.9, pitch: 0.8, voice: 0 },
+    fearful: { rate: 1.15, pitch: 1.3, voice: 1 },
+    happy: { rate: 1.1, pitch: 1.3, voice: 1 },
+    sad: { rate: 0.8, pitch: 0.8, voice: 0 },
+    surprised: { rate: 1.0, pitch: 1.5, voice: 1 },
+    neutral: { rate: 1.0, pitch: 1.0, voice: 0 }
+};
+
+// Rate multiplier per movement speed category
+const SPEECH_SPEED_RATES = {
+    lo: 0.85,
+    med: 1.0,
+    hi: 1.2
+};
+
+// Russian vowels that can carry a stress marker
+const STRESS_VOWELS = 'аеёиоуыэюяАЕЁИОУЫЭЮЯ';
+
+class SpeechFallback {
+    constructor(lang = 'ru-RU') {
+        this.lang = lang;
+        this.voices = []; // Voices matching the language
+        this.currentUtterance = null;
+
+        if (this.isSupported()) {
+            this.loadVoices();
+            // Voice list is loaded asynchronously in most browsers
+            window.speechSynthesis.addEventListener('voiceschanged', () => this.loadVoices());
+        }
+    }
+
+    isSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    // Collect voices for our language, local voices first (they start faster and work offline)
+    loadVoices() {
+        const prefix = this.lang.split('-')[0].toLowerCase();
+        this.voices = window.speechSynthesis.getVoices()
+            .filter(voice => voice.lang.toLowerCase().replace('_', '-').startsWith(prefix))
+            .sort((a, b) => Number(b.localService) - Number(a.localService));
+    }
+
+    // Convert "+" stress markers (placed before the stressed vowel) to a combining acute accent
+    // after the vowel, which engines with Russian stress support use as a hint.
+    // With useStress = false the markers are just removed.
+    prepareText(phrase, useStress = true) {
+        let text = phrase;
+        if (useStress) {
+            text = text.replace(new RegExp(`\\+([${STRESS_VOWELS}])`, 'g'), '$1\u0301');
+        }
+        return text.replace(/\+/g, '');
+    }
+
+    // Speak a phrase, returns a handle with pause() to stop it (same as Audio.pause())
+    speak(phrase, { emotion = 'neutral', speedCategory = 'med', useStress = true, onend, onerror } = {}) {
+        const profile = SPEECH_EMOTION_PROFILES[emotion] || SPEECH_EMOTION_PROFILES.neutral;
+        const speedRate = SPEECH_SPEED_RATES[speedCategory] || 1.0;
+
+        const utterance = new SpeechSynthesisUtterance(this.prepareText(phrase, useStress));
+        utterance.lang = this.lang;
+        utterance.rate = profile.rate * speedRate;
+        utterance.pitch = profile.pitch;
+        if (this.voices.length > 0) {
+            utterance.voice = this.voices[profile.voice % this.voices.length];
+        }
+
+        // Progress for text animations, from word boundary events (not all voices report them)
+        let spokenChars = 0;
+        utterance.onboundary = (event) => {
+            spokenChars = event.charIndex;
+        };
+
+        // Events of an utterance stopped by pause() or a newer speak() are ignored
+        // (browsers report cancel() either as "end" or as "interrupted"/"canceled" error)
+        utterance.onend = () => {
+            if (this.currentUtterance !== utterance) return;
+            this.currentUtterance = null;
+            if (onend) onend();
+        };
+        utterance.onerror = (event) => {
+            if (this.currentUtterance !== utterance) return;
+            this.currentUtterance = null;
+            if (onerror) onerror(event);
+        };
+
+        // Stop anything still being spoken
+        window.speechSynthesis.cancel();
+        this.currentUtterance = utterance;
+        window.speechSynthesis.speak(utterance);
+
+        return {
+            pause: () => {
+                if (this.currentUtterance === utterance) {
+                    this.currentUtterance = null;
+                    window.speechSynthesis.cancel();
+                }
+            },
+            // Share of the text spoken so far (0..1)
+            getProgress: () => spokenChars / Math.max(utterance.text.length, 1)
+        };
+    }
+}
+
+// Create global instance
+const speechFallback = new SpeechFallback(appConfig.ttsLang);
@@ -0,0 +1,115 @@
+// Unattended operation module
+// Keeps a gallery installation running without anyone at the keyboard: failed operations (model
+// loading, camera acquisition) are retried with exponential backoff, the video is watched for
+// ended or frozen tracks, and the page reloads itself after too many failures in a short time.
+// Every failure and recovery is logged to the console and to a short log in sessionStorage,
+// which survives the reloads (see getRecoveryLog()).
+
+const RECOVERY_LOG_KEY = 'recoveryLog';
+const RECOVERY_LOG_SIZE = 50;
+
+class UnattendedSupervisor {
+    constructor(options = {}) {
+        this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 2000; // First retry delay
+        this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 60000; // Backoff limit
+        this.maxFailures = options.maxFailures !== undefined ? options.maxFailures : 5; // Failures before reload
+        this.failureWindowMs = options.failureWindowMs !== undefined ? options.failureWindowMs : 10 * 60 * 1000;
+        this.frozenMs = options.frozenMs !== undefined ? options.frozenMs : 5000; // Video without new frames
+
+        this.attempts = new Map(); // operation name -> failed attempts since its last success
+        this.failureTimes = []; // Recent failure times (all operations) for the reload decision
+        this.retryTimers = new Map(); // operation name -> pending retry timeout
+        this.reloading = false;
+    }
+
+    log(message) {
+        console.warn(`[recovery] ${message}`);
+        try {
+            const log = JSON.parse(sessionStorage.getItem(RECOVERY_LOG_KEY) || '[]');
+            log.push(`${new Date().toISOString()} ${message}`);
+            sessionStorage.setItem(RECOVERY_LOG_KEY, JSON.stringify(log.slice(-RECOVERY_LOG_SIZE)));
+        } catch (error) {
+            // Storage unavailable (private mode, quota) - console only
+        }
+    }
+
+    getRecoveryLog() {
+        try {
+            return JSON.parse(sessionStorage.getItem(RECOVERY_LOG_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Backoff delay for the given failed attempt (1, 2, ...), with some jitter
+    getDelay(attempt) {
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+        return delay * (0.8 + Math.random() * 0.4);
+    }
+
+    // Record a failed operation and schedule retry() after the backoff delay,
+    // or reload the page if there were too many failures recently
+    fail(name, error, retry) {
+        const now = Date.now();
+        this.failureTimes = this.failureTimes.filter(time => now - time < this.failureWindowMs);
+        this.failureTimes.push(now);
+        const attempt = (this.attempts.get(name) || 0) + 1;
+        this.attempts.set(name, attempt);
+
+        const reason = error && error.message ? error.message : String(error);
+        if (this.failureTimes.length >= this.maxFailures) {
+            this.reload(`${this.failureTimes.length} failures in ${Math.round(this.failureWindowMs / 60000)} min, last: ${name} (${reason})`);
+            return;
+        }
+
+        const delay = this.getDelay(attempt);
+        this.log(`${name} failed (${reason}), retry ${attempt} in ${(delay / 1000).toFixed(1)} s`);
+        clearTimeout(this.retryTimers.get(name));
+        this.retryTimers.set(name, setTimeout(() => {
+            this.retryTimers.delete(name);
+            retry();
+        }, delay));
+    }
+
+    // Record a successful operation (resets its backoff)
+    succeed(name) {
+        const attempts = this.attempts.get(name) || 0;
+        if (attempts > 0) {
+            this.log(`${name} recovered after ${attempts} failed attempt(s)`);
+        }
+        this.attempts.delete(name);
+    }
+
+    reload(reason) {
+        if (this.reloading) return;
+        this.reloading = true;
+        this.log(`reloading page: ${reason}`);
+        location.reload();
+    }
+
+    // Watch a playing video for ended tracks and frozen frames, calls onProblem(reason) once
+    // Returns a function that stops watching
+    watchVideo(video, onProblem) {
+        let lastTime = video.currentTime;
+        let lastChangeAt = Date.now();
+        const interval = setInterval(() => {
+            const stream = video.srcObject;
+            const tracks = stream ? stream.getVideoTracks() : [];
+            let problem = null;
+            if (tracks.length === 0 || tracks.some(track => track.readyState === 'ended')) {
+                problem = 'video track ended';
+            } else if (video.currentTime !== lastTime) {
+                lastTime = video.currentTime;
+                lastChangeAt = Date.now();
+            } else if (Date.now() - lastChangeAt > this.frozenMs) {
+                problem = `video frozen for ${Math.round((Date.now() - lastChangeAt) / 1000)} s`;
+            }
+
+            if (problem) {
+                clearInterval(interval);
+                onProblem(problem);
+            }
+        }, 1000);
+        return () => clearInterval(interval);
+    }
+}
@@ -0,0 +1,96 @@
+// New visitor detector module
+// Decides when the main (largest) face belongs to a new visitor, with hysteresis: absence is measured
+// as time without any confirmed main face, so a new visitor is only detected after absenceMs with
+// nobody in front of the camera. A confirmed main track that appears earlier (e.g. the visitor back
+// on a new track ID after an occlusion longer than the tracker keeps lost tracks) is adopted as the
+// same visitor. If face descriptors are available, a returning face that matches the previous
+// visitor is not treated as a new visitor even after a longer absence.
+// The visit's dwell time (getDwellMs) runs from the first sighting of the visitor's first track and
+// continues across adopted tracks.
+
+class VisitorDetector {
+    constructor(tracker, options = {}) {
+        this.tracker = tracker; // FaceTracker, used to see whether the visitor's track is still visible
+        this.absenceMs = options.absenceMs !== undefined ? options.absenceMs : 5000;
+        this.maxDescriptorDistance = options.maxDescriptorDistance !== undefined ? options.maxDescriptorDistance : 0.6;
+        this.visitor = null; // {trackId, descriptor, startedAt, lastSeen}
+    }
+
+    // Update with the main face track of the current frame (null if no face)
+    // Returns true when a new visitor has been detected
+    update(mainTrack, now) {
+        // Refresh last sighting of the current visitor (lost tracks keep their last sighting time)
+        if (this.visitor) {
+            const visitorTrack = this.tracker.getTrack(this.visitor.trackId);
+            if (visitorTrack) {
+                this.visitor.lastSeen = visitorTrack.lastSeen;
+                if (visitorTrack.descriptor) {
+                    this.visitor.descriptor = Float32Array.from(visitorTrack.descriptor);
+                }
+            }
+        }
+
+        // Only confirmed tracks can become visitors (tentative ones may be false detections)
+        if (!mainTrack || mainTrack.state !== TRACK_STATES.CONFIRMED) {
+            return false;
+        }
+
+        if (!this.visitor) {
+            // First visitor, the cycle is fresh anyway
+            this.setVisitor(mainTrack);
+            return false;
+        }
+
+        if (mainTrack.id === this.visitor.trackId) {
+            return false;
+        }
+
+        // Different track while the main face was gone for less than absenceMs - same visit
+        if (now - this.visitor.lastSeen < this.absenceMs) {
+            this.adoptTrack(mainTrack);
+            return false;
+        }
+
+        // Same person returning with a new track ID
+        if (this.visitor.descriptor && mainTrack.descriptor &&
+            descriptorDistance(this.visitor.descriptor, mainTrack.descriptor) < this.maxDescriptorDistance) {
+            this.adoptTrack(mainTrack);
+            return false;
+        }
+
+        this.setVisitor(mainTrack);
+        return true;
+    }
+
+    setVisitor(track) {
+        this.visitor = {
+            trackId: track.id,
+            descriptor: track.descriptor ? Float32Array.from(track.descriptor) : null,
+            startedAt: track.firstSeen,
+            lastSeen: track.lastSeen
+        };
+    }
+
+    // Follow the current visitor on another track (the visit continues)
+    adoptTrack(track) {
+        this.visitor.trackId = track.id;
+        this.visitor.lastSeen = track.lastSeen;
+        if (track.descriptor) {
+            this.visitor.descriptor = Float32Array.from(track.descriptor);
+        }
+    }
+
+    // How long the current visitor has been in front of the camera (0 if there is none)
+    getDwellMs() {
+        return this.visitor ? this.visitor.lastSeen - this.visitor.startedAt : 0;
+    }
+
+    // How long the current visitor has been gone (0 if there is none)
+    getAbsenceMs(now) {
+        return this.visitor ? Math.max(0, now - this.visitor.lastSeen) : 0;
+    }
+
+    reset() {
+        this.visitor = null;
+    }
+}